@@ -20,6 +20,10 @@ function radians( degrees ) {
     return degrees * Math.PI / 180.0;
 }
 
+function degrees( radians ) {
+    return radians * 180.0 / Math.PI;
+}
+
 //----------------------------------------------------------------------------
 //
 //  Vector Constructors
@@ -712,3 +716,589 @@ function inverseTranspose(m) {
     return Inverse;
 
 }
+
+//----------------------------------------------------------------------------
+//
+//  Quaternions
+//
+//  Stored as [ x, y, z, w ] with w the scalar part. Angles are in degrees,
+//  as for rotate(). quatMult() composes in the same order as mult() on the
+//  matching matrices: quatToMat4( quatMult(a, b) ) == mult( A, B ).
+//
+
+function quat( x, y, z, w )
+{
+    var result = ( arguments.length == 0 ) ? [ 0.0, 0.0, 0.0, 1.0 ]
+                                           : [ x, y, z, w ];
+    result.quaternion = true;
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+
+function quatFromAxisAngle( angle, axis )
+{
+    if ( !Array.isArray(axis) ) {
+        axis = [ arguments[1], arguments[2], arguments[3] ];
+    }
+
+    var v = normalize( axis.slice(0, 3) );
+    var half = 0.5 * radians( angle );
+    var s = Math.sin( half );
+
+    return quat( v[0]*s, v[1]*s, v[2]*s, Math.cos(half) );
+}
+
+//----------------------------------------------------------------------------
+
+// Same rotation as mult( rotate(x, [1,0,0]), mult( rotate(y, [0,1,0]),
+// rotate(z, [0,0,1]) ) ), i.e. gRotate about x, then y, then z.
+function quatFromEuler( x, y, z )
+{
+    if ( Array.isArray(x) ) {
+        z = x[2];
+        y = x[1];
+        x = x[0];
+    }
+
+    return quatMult( quatFromAxisAngle( x, [1, 0, 0] ),
+                     quatMult( quatFromAxisAngle( y, [0, 1, 0] ),
+                               quatFromAxisAngle( z, [0, 0, 1] ) ) );
+}
+
+//----------------------------------------------------------------------------
+
+function quatMult( a, b )
+{
+    return quat(
+        a[3]*b[0] + a[0]*b[3] + a[1]*b[2] - a[2]*b[1],
+        a[3]*b[1] - a[0]*b[2] + a[1]*b[3] + a[2]*b[0],
+        a[3]*b[2] + a[0]*b[1] - a[1]*b[0] + a[2]*b[3],
+        a[3]*b[3] - a[0]*b[0] - a[1]*b[1] - a[2]*b[2]
+    );
+}
+
+//----------------------------------------------------------------------------
+
+function quatNormalize( q )
+{
+    var len = Math.sqrt( q[0]*q[0] + q[1]*q[1] + q[2]*q[2] + q[3]*q[3] );
+
+    if ( !(len > 0.0) || !isFinite(len) ) {
+        throw "quatNormalize: quaternion " + q + " has zero length";
+    }
+
+    return quat( q[0]/len, q[1]/len, q[2]/len, q[3]/len );
+}
+
+//----------------------------------------------------------------------------
+
+// Inverse rotation of a unit quaternion
+function quatConjugate( q )
+{
+    return quat( -q[0], -q[1], -q[2], q[3] );
+}
+
+//----------------------------------------------------------------------------
+
+function quatRotateVector( q, v )
+{
+    var p = quatMult( quatMult( q, quat( v[0], v[1], v[2], 0.0 ) ),
+                      quatConjugate( q ) );
+
+    return vec3( p[0], p[1], p[2] );
+}
+
+//----------------------------------------------------------------------------
+
+// Spherical interpolation from a (s = 0) to b (s = 1) along the shorter arc.
+function quatSlerp( a, b, s )
+{
+    if ( typeof s !== "number" ) {
+        throw "quatSlerp: the last parameter " + s + " must be a number";
+    }
+
+    var cosTheta = a[0]*b[0] + a[1]*b[1] + a[2]*b[2] + a[3]*b[3];
+
+    // q and -q are the same rotation; flip b to take the short way round
+    var sign = 1.0;
+    if ( cosTheta < 0.0 ) {
+        cosTheta = -cosTheta;
+        sign = -1.0;
+    }
+
+    var wa, wb;
+    if ( cosTheta > 0.9995 ) {
+        // Nearly parallel: linear interpolation avoids dividing by sin(0)
+        wa = 1.0 - s;
+        wb = s;
+    }
+    else {
+        var theta = Math.acos( cosTheta );
+        var sinTheta = Math.sin( theta );
+        wa = Math.sin( (1.0 - s) * theta ) / sinTheta;
+        wb = Math.sin( s * theta ) / sinTheta;
+    }
+    wb *= sign;
+
+    return quatNormalize( quat( wa*a[0] + wb*b[0], wa*a[1] + wb*b[1],
+                                wa*a[2] + wb*b[2], wa*a[3] + wb*b[3] ) );
+}
+
+//----------------------------------------------------------------------------
+
+function quatToMat4( q )
+{
+    var x = q[0], y = q[1], z = q[2], w = q[3];
+
+    var result = mat4(
+        vec4( 1 - 2*(y*y + z*z), 2*(x*y - z*w),     2*(x*z + y*w),     0.0 ),
+        vec4( 2*(x*y + z*w),     1 - 2*(x*x + z*z), 2*(y*z - x*w),     0.0 ),
+        vec4( 2*(x*z - y*w),     2*(y*z + x*w),     1 - 2*(x*x + y*y), 0.0 ),
+        vec4()
+    );
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+//
+//  Inverse, Determinant and Decomposition
+//
+
+function determinant( m )
+{
+    if ( m.matrix !== true ) {
+        throw "determinant: argument is not a matrix";
+    }
+
+    switch ( m.length ) {
+    case 2:
+        return m[0][0]*m[1][1] - m[0][1]*m[1][0];
+
+    case 3:
+        return m[0][0] * ( m[1][1]*m[2][2] - m[1][2]*m[2][1] )
+             - m[0][1] * ( m[1][0]*m[2][2] - m[1][2]*m[2][0] )
+             + m[0][2] * ( m[1][0]*m[2][1] - m[1][1]*m[2][0] );
+
+    case 4:
+        var f = _mat4Subfactors( m );
+        return f[0]*f[11] - f[1]*f[10] + f[2]*f[9] + f[3]*f[8] - f[4]*f[7] + f[5]*f[6];
+    }
+
+    throw "determinant: unsupported matrix size " + m.length;
+}
+
+//----------------------------------------------------------------------------
+
+// 2x2 determinants of the top two and bottom two rows, shared by
+// determinant() and inverse().
+function _mat4Subfactors( m )
+{
+    return [
+        m[0][0]*m[1][1] - m[0][1]*m[1][0],
+        m[0][0]*m[1][2] - m[0][2]*m[1][0],
+        m[0][0]*m[1][3] - m[0][3]*m[1][0],
+        m[0][1]*m[1][2] - m[0][2]*m[1][1],
+        m[0][1]*m[1][3] - m[0][3]*m[1][1],
+        m[0][2]*m[1][3] - m[0][3]*m[1][2],
+        m[2][0]*m[3][1] - m[2][1]*m[3][0],
+        m[2][0]*m[3][2] - m[2][2]*m[3][0],
+        m[2][0]*m[3][3] - m[2][3]*m[3][0],
+        m[2][1]*m[3][2] - m[2][2]*m[3][1],
+        m[2][1]*m[3][3] - m[2][3]*m[3][1],
+        m[2][2]*m[3][3] - m[2][3]*m[3][2]
+    ];
+}
+
+//----------------------------------------------------------------------------
+
+function inverse( m )
+{
+    if ( m.matrix !== true || m.length != 4 ) {
+        throw "inverse: argument is not a mat4";
+    }
+
+    var f = _mat4Subfactors( m );
+    var det = f[0]*f[11] - f[1]*f[10] + f[2]*f[9] + f[3]*f[8] - f[4]*f[7] + f[5]*f[6];
+
+    if ( Math.abs(det) < 1e-12 ) {
+        throw "inverse: matrix is singular";
+    }
+
+    var d = 1.0 / det;
+
+    var result = mat4(
+        vec4( ( m[1][1]*f[11] - m[1][2]*f[10] + m[1][3]*f[9]) * d,
+              (-m[0][1]*f[11] + m[0][2]*f[10] - m[0][3]*f[9]) * d,
+              ( m[3][1]*f[5]  - m[3][2]*f[4]  + m[3][3]*f[3]) * d,
+              (-m[2][1]*f[5]  + m[2][2]*f[4]  - m[2][3]*f[3]) * d ),
+        vec4( (-m[1][0]*f[11] + m[1][2]*f[8]  - m[1][3]*f[7]) * d,
+              ( m[0][0]*f[11] - m[0][2]*f[8]  + m[0][3]*f[7]) * d,
+              (-m[3][0]*f[5]  + m[3][2]*f[2]  - m[3][3]*f[1]) * d,
+              ( m[2][0]*f[5]  - m[2][2]*f[2]  + m[2][3]*f[1]) * d ),
+        vec4( ( m[1][0]*f[10] - m[1][1]*f[8]  + m[1][3]*f[6]) * d,
+              (-m[0][0]*f[10] + m[0][1]*f[8]  - m[0][3]*f[6]) * d,
+              ( m[3][0]*f[4]  - m[3][1]*f[2]  + m[3][3]*f[0]) * d,
+              (-m[2][0]*f[4]  + m[2][1]*f[2]  - m[2][3]*f[0]) * d ),
+        vec4( (-m[1][0]*f[9]  + m[1][1]*f[7]  - m[1][2]*f[6]) * d,
+              ( m[0][0]*f[9]  - m[0][1]*f[7]  + m[0][2]*f[6]) * d,
+              (-m[3][0]*f[3]  + m[3][1]*f[1]  - m[3][2]*f[0]) * d,
+              ( m[2][0]*f[3]  - m[2][1]*f[1]  + m[2][2]*f[0]) * d )
+    );
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+
+// Unit quaternion of the rotation in the upper 3x3 of m (no scale or shear).
+function quatFromMat4( m )
+{
+    var trace = m[0][0] + m[1][1] + m[2][2];
+    var s;
+
+    if ( trace > 0.0 ) {
+        s = 0.5 / Math.sqrt( trace + 1.0 );
+        return quatNormalize( quat( (m[2][1] - m[1][2]) * s,
+                                    (m[0][2] - m[2][0]) * s,
+                                    (m[1][0] - m[0][1]) * s,
+                                    0.25 / s ) );
+    }
+    if ( m[0][0] > m[1][1] && m[0][0] > m[2][2] ) {
+        s = 2.0 * Math.sqrt( 1.0 + m[0][0] - m[1][1] - m[2][2] );
+        return quatNormalize( quat( 0.25 * s,
+                                    (m[0][1] + m[1][0]) / s,
+                                    (m[0][2] + m[2][0]) / s,
+                                    (m[2][1] - m[1][2]) / s ) );
+    }
+    if ( m[1][1] > m[2][2] ) {
+        s = 2.0 * Math.sqrt( 1.0 + m[1][1] - m[0][0] - m[2][2] );
+        return quatNormalize( quat( (m[0][1] + m[1][0]) / s,
+                                    0.25 * s,
+                                    (m[1][2] + m[2][1]) / s,
+                                    (m[0][2] - m[2][0]) / s ) );
+    }
+    s = 2.0 * Math.sqrt( 1.0 + m[2][2] - m[0][0] - m[1][1] );
+    return quatNormalize( quat( (m[0][2] + m[2][0]) / s,
+                                (m[1][2] + m[2][1]) / s,
+                                0.25 * s,
+                                (m[1][0] - m[0][1]) / s ) );
+}
+
+//----------------------------------------------------------------------------
+
+// Split an affine transform built as translate * rotate * scale back into
+// { translation: vec3, rotation: quat, scale: vec3 }. Shear is not
+// recovered; a mirroring transform comes back with a negative x scale.
+function decompose( m )
+{
+    if ( m.matrix !== true || m.length != 4 ) {
+        throw "decompose: argument is not a mat4";
+    }
+
+    var sx = length( [ m[0][0], m[1][0], m[2][0] ] );
+    var sy = length( [ m[0][1], m[1][1], m[2][1] ] );
+    var sz = length( [ m[0][2], m[1][2], m[2][2] ] );
+
+    if ( determinant(m) < 0.0 ) {
+        sx = -sx;
+    }
+    if ( sx == 0.0 || sy == 0.0 || sz == 0.0 ) {
+        throw "decompose: matrix has a zero scale";
+    }
+
+    var r = mat4(
+        vec4( m[0][0]/sx, m[0][1]/sy, m[0][2]/sz, 0.0 ),
+        vec4( m[1][0]/sx, m[1][1]/sy, m[1][2]/sz, 0.0 ),
+        vec4( m[2][0]/sx, m[2][1]/sy, m[2][2]/sz, 0.0 ),
+        vec4()
+    );
+
+    return {
+        translation: vec3( m[0][3], m[1][3], m[2][3] ),
+        rotation:    quatFromMat4( r ),
+        scale:       vec3( sx, sy, sz )
+    };
+}
+
+//----------------------------------------------------------------------------
+
+// Inverse of decompose(): translate * rotate * scale
+function compose( translation, rotation, scaling )
+{
+    return mult( translate( translation ),
+                 mult( quatToMat4( rotation ),
+                       scale( scaling[0], scaling[1], scaling[2] ) ) );
+}
+
+//----------------------------------------------------------------------------
+
+// World-space point under window coordinates (x, y) at depth z (0 = near
+// plane, 1 = far plane), like gluUnProject. viewport is [x, y, width, height]
+// and y counts up from the bottom, as in gl.viewport().
+function unproject( x, y, z, modelView, projection, viewport )
+{
+    var ndc = vec4( 2.0 * (x - viewport[0]) / viewport[2] - 1.0,
+                    2.0 * (y - viewport[1]) / viewport[3] - 1.0,
+                    2.0 * z - 1.0,
+                    1.0 );
+
+    var m = inverse( mult(projection, modelView) );
+    var p = [];
+    for ( var i = 0; i < 4; ++i ) {
+        p.push( dot( m[i], ndc ) );
+    }
+
+    if ( p[3] == 0.0 ) {
+        throw "unproject: point is at infinity";
+    }
+
+    return vec3( p[0] / p[3], p[1] / p[3], p[2] / p[3] );
+}
+
+//----------------------------------------------------------------------------
+//
+//  Typed-array Fast Path
+//
+//  A mat4f is a Float32Array(16) in column-major order, the layout
+//  gl.uniformMatrix4fv() expects, so it is uploaded without flatten().
+//  Each function writes its result into `out` (which may be one of the
+//  inputs) and returns it; nothing is allocated per call. Translate, rotate
+//  and scale post-multiply like mult( a, translate(...) ) does.
+//
+
+var _mat4fScratch = new Float32Array( 16 );
+var _mat4fRotation = new Float32Array( 16 );
+
+function mat4f()
+{
+    return mat4fIdentity( new Float32Array(16) );
+}
+
+function vec3f( x, y, z )
+{
+    return new Float32Array( [ x || 0.0, y || 0.0, z || 0.0 ] );
+}
+
+function vec4f( x, y, z, w )
+{
+    return new Float32Array( [ x || 0.0, y || 0.0, z || 0.0,
+                               (w === undefined) ? 1.0 : w ] );
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fIdentity( out )
+{
+    out.fill( 0.0 );
+    out[0] = out[5] = out[10] = out[15] = 1.0;
+
+    return out;
+}
+
+function mat4fCopy( out, a )
+{
+    out.set( a );
+
+    return out;
+}
+
+// From an MV.js mat4 (same result as flatten(m), without allocating)
+function mat4fFromMat4( out, m )
+{
+    for ( var r = 0; r < 4; ++r ) {
+        for ( var c = 0; c < 4; ++c ) {
+            out[c*4 + r] = m[r][c];
+        }
+    }
+
+    return out;
+}
+
+// Back to an MV.js mat4, for code that still expects one (allocates)
+function mat4fToMat4( a )
+{
+    var result = mat4();
+    for ( var r = 0; r < 4; ++r ) {
+        for ( var c = 0; c < 4; ++c ) {
+            result[r][c] = a[c*4 + r];
+        }
+    }
+
+    return result;
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fMultiply( out, a, b )
+{
+    var t = _mat4fScratch;
+
+    for ( var c = 0; c < 4; ++c ) {
+        var b0 = b[c*4], b1 = b[c*4 + 1], b2 = b[c*4 + 2], b3 = b[c*4 + 3];
+        for ( var r = 0; r < 4; ++r ) {
+            t[c*4 + r] = a[r]*b0 + a[4 + r]*b1 + a[8 + r]*b2 + a[12 + r]*b3;
+        }
+    }
+    out.set( t );
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fTranslate( out, a, x, y, z )
+{
+    if ( out !== a ) {
+        out.set( a );
+    }
+
+    for ( var r = 0; r < 4; ++r ) {
+        out[12 + r] = a[r]*x + a[4 + r]*y + a[8 + r]*z + a[12 + r];
+    }
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fRotate( out, a, angle, axis )
+{
+    var x, y, z;
+    if ( Array.isArray(axis) || ArrayBuffer.isView(axis) ) {
+        x = axis[0]; y = axis[1]; z = axis[2];
+    }
+    else {
+        x = arguments[3]; y = arguments[4]; z = arguments[5];
+    }
+
+    var len = Math.sqrt( x*x + y*y + z*z );
+    if ( !(len > 0.0) ) {
+        throw "mat4fRotate: axis has zero length";
+    }
+    x /= len; y /= len; z /= len;
+
+    var c = Math.cos( radians(angle) );
+    var omc = 1.0 - c;
+    var s = Math.sin( radians(angle) );
+
+    var R = mat4fIdentity( _mat4fRotation );
+    R[0] = x*x*omc + c;   R[4] = x*y*omc - z*s; R[8]  = x*z*omc + y*s;
+    R[1] = x*y*omc + z*s; R[5] = y*y*omc + c;   R[9]  = y*z*omc - x*s;
+    R[2] = x*z*omc - y*s; R[6] = y*z*omc + x*s; R[10] = z*z*omc + c;
+
+    return mat4fMultiply( out, a, R );
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fScale( out, a, x, y, z )
+{
+    for ( var r = 0; r < 4; ++r ) {
+        out[r]      = a[r] * x;
+        out[4 + r]  = a[4 + r] * y;
+        out[8 + r]  = a[8 + r] * z;
+        out[12 + r] = a[12 + r];
+    }
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+// Rotation matrix of a quaternion (see quatToMat4)
+function mat4fFromQuat( out, q )
+{
+    var x = q[0], y = q[1], z = q[2], w = q[3];
+
+    mat4fIdentity( out );
+    out[0] = 1 - 2*(y*y + z*z); out[4] = 2*(x*y - z*w);     out[8]  = 2*(x*z + y*w);
+    out[1] = 2*(x*y + z*w);     out[5] = 1 - 2*(x*x + z*z); out[9]  = 2*(y*z - x*w);
+    out[2] = 2*(x*z - y*w);     out[6] = 2*(y*z + x*w);     out[10] = 1 - 2*(x*x + y*y);
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fTranspose( out, a )
+{
+    var t = _mat4fScratch;
+
+    for ( var r = 0; r < 4; ++r ) {
+        for ( var c = 0; c < 4; ++c ) {
+            t[r*4 + c] = a[c*4 + r];
+        }
+    }
+    out.set( t );
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+// Inverse of a; a singular matrix gives the identity rather than throwing,
+// since this runs every frame (normal matrices). Only an exactly zero or
+// non-finite determinant counts: tiny scales still invert.
+function mat4fInvert( out, a )
+{
+    var a00 = a[0],  a01 = a[1],  a02 = a[2],  a03 = a[3];
+    var a10 = a[4],  a11 = a[5],  a12 = a[6],  a13 = a[7];
+    var a20 = a[8],  a21 = a[9],  a22 = a[10], a23 = a[11];
+    var a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+    var b00 = a00*a11 - a01*a10, b01 = a00*a12 - a02*a10;
+    var b02 = a00*a13 - a03*a10, b03 = a01*a12 - a02*a11;
+    var b04 = a01*a13 - a03*a11, b05 = a02*a13 - a03*a12;
+    var b06 = a20*a31 - a21*a30, b07 = a20*a32 - a22*a30;
+    var b08 = a20*a33 - a23*a30, b09 = a21*a32 - a22*a31;
+    var b10 = a21*a33 - a23*a31, b11 = a22*a33 - a23*a32;
+
+    var det = b00*b11 - b01*b10 + b02*b09 + b03*b08 - b04*b07 + b05*b06;
+    if ( det === 0 || !isFinite(det) ) {
+        return mat4fIdentity( out );
+    }
+    det = 1.0 / det;
+
+    out[0]  = (a11*b11 - a12*b10 + a13*b09) * det;
+    out[1]  = (a02*b10 - a01*b11 - a03*b09) * det;
+    out[2]  = (a31*b05 - a32*b04 + a33*b03) * det;
+    out[3]  = (a22*b04 - a21*b05 - a23*b03) * det;
+    out[4]  = (a12*b08 - a10*b11 - a13*b07) * det;
+    out[5]  = (a00*b11 - a02*b08 + a03*b07) * det;
+    out[6]  = (a32*b02 - a30*b05 - a33*b01) * det;
+    out[7]  = (a20*b05 - a22*b02 + a23*b01) * det;
+    out[8]  = (a10*b10 - a11*b08 + a13*b06) * det;
+    out[9]  = (a01*b08 - a00*b10 - a03*b06) * det;
+    out[10] = (a30*b04 - a31*b02 + a33*b00) * det;
+    out[11] = (a21*b02 - a20*b04 - a23*b00) * det;
+    out[12] = (a11*b07 - a10*b09 - a12*b06) * det;
+    out[13] = (a00*b09 - a01*b07 + a02*b06) * det;
+    out[14] = (a31*b01 - a30*b03 - a32*b00) * det;
+    out[15] = (a20*b03 - a21*b01 + a22*b00) * det;
+
+    return out;
+}
+
+//----------------------------------------------------------------------------
+
+// Normal matrix, as inverseTranspose() does for MV.js matrices
+function mat4fInverseTranspose( out, a )
+{
+    return mat4fTranspose( out, mat4fInvert( out, a ) );
+}
+
+//----------------------------------------------------------------------------
+
+function mat4fTransformVec4( out, m, v )
+{
+    var x = v[0], y = v[1], z = v[2], w = v[3];
+
+    for ( var r = 0; r < 4; ++r ) {
+        out[r] = m[r]*x + m[4 + r]*y + m[8 + r]*z + m[12 + r]*w;
+    }
+
+    return out;
+}
@@ -0,0 +1,84 @@
+// bloom.js - Bloom / glow post-processing chain
+
+// ======================================================
+// Bloom Settings
+// ======================================================
+// threshold - luminance (0-1) above which lit pixels start to bloom
+// intensity - how strongly the blurred highlights are added back
+// radius    - spacing of the blur taps in half-resolution texels
+var bloomSettings = {
+    threshold: 0.95,  // Just above the pink backdrop, so only highlights bloom
+    intensity: 1.2,
+    radius:    1.5
+};
+
+// ======================================================
+// BloomPass Class
+// ======================================================
+// A PostPass made of several steps: bright pass -> horizontal blur ->
+// vertical blur at half resolution, then composite over the input. Glowing
+// materials come from the scene target's glow attachment wherever the pass
+// sits in the effect stack.
+class BloomPass extends PostPass {
+    constructor() {
+        super("Bloom", "bloom-composite-fragment-shader");
+
+        var halfWidth  = Math.max(1, Math.floor(canvas.width / 2));
+        var halfHeight = Math.max(1, Math.floor(canvas.height / 2));
+        this.targets = [   // The blur ping-pongs between these
+            createRenderTarget(halfWidth, halfHeight),
+            createRenderTarget(halfWidth, halfHeight)
+        ];
+        this.brightPassShader = new ShaderProgram(gl, "fullscreen-vertex-shader", "bright-pass-fragment-shader");
+        this.blurShader       = new ShaderProgram(gl, "fullscreen-vertex-shader", "blur-fragment-shader");
+    }
+
+    run(input, output) {
+        var targets = this.targets;
+
+        // Extract highlights and glowing materials at half resolution
+        bindRenderTarget(targets[0]);
+        this.brightPassShader.use();
+        bindPostInput(0, input.textures[0], this.brightPassShader, "source");
+        bindPostInput(1, sceneTarget.textures[1], this.brightPassShader, "sceneGlow");
+        this.brightPassShader.setUniform("threshold", bloomSettings.threshold);
+        drawFullscreenTriangle();
+
+        // Separable Gaussian: 0 -> 1 horizontally, then 1 -> 0 vertically
+        this.blurShader.use();
+
+        bindRenderTarget(targets[1]);
+        bindPostInput(0, targets[0].textures[0], this.blurShader, "source");
+        this.blurShader.setUniform("direction", [bloomSettings.radius / targets[0].width, 0.0]);
+        drawFullscreenTriangle();
+
+        bindRenderTarget(targets[0]);
+        bindPostInput(0, targets[1].textures[0], this.blurShader, "source");
+        this.blurShader.setUniform("direction", [0.0, bloomSettings.radius / targets[0].height]);
+        drawFullscreenTriangle();
+
+        // Input plus blurred highlights
+        bindRenderTarget(output);
+        this.shader.use();
+        bindPostInput(0, input.textures[0], this.shader, "source");
+        bindPostInput(1, targets[0].textures[0], this.shader, "bloom");
+        this.shader.setUniform("intensity", bloomSettings.intensity);
+        drawFullscreenTriangle();
+    }
+}
+
+// ======================================================
+// Function: initBloomControls()
+// Wire the threshold / intensity / radius sliders.
+// ======================================================
+function initBloomControls() {
+    ["threshold", "intensity", "radius"].forEach(function(setting) {
+        var slider = document.getElementById("bloom" + setting.charAt(0).toUpperCase() + setting.slice(1));
+        if (!slider) return;
+        slider.value = bloomSettings[setting];
+        slider.oninput = function() {
+            bloomSettings[setting] = parseFloat(slider.value);
+            redrawIfPaused();
+        };
+    });
+}
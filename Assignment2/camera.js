@@ -0,0 +1,186 @@
+// camera.js - Orbit camera: mouse orbit / pan / dolly with inertia, or an automatic fly-around
+
+// ======================================================
+// OrbitCamera Class
+// ======================================================
+// The eye sits on a sphere around `target`: `azimuth` turns about the
+// vertical (0 is on the +z side) and `elevation` lifts it above the target's
+// horizon, both in radians.
+//   - Auto mode flies around at `autoSpeed` radians per scene second, so it
+//     follows the scene clock (pauses, seeks, slow motion).
+//   - Manual mode moves only with the mouse. After a drag or wheel turn
+//     the motion carries on and dies away with `damping` (per second).
+//     This runs on real time, so it still works while the scene is paused.
+// The projection is orthographic, so dollying also scales the view volume
+// (viewScale()); otherwise moving closer would not change the picture.
+class OrbitCamera {
+    constructor(target, options = {}) {
+        this.target = vec3(target[0], target[1], target[2]);
+        this.radius = options.radius !== undefined ? options.radius : 20.0;
+        this.azimuth = options.azimuth || 0.0;
+        this.elevation = options.elevation || 0.0;
+        this.baseRadius = this.radius;  // Radius at which viewScale() is 1
+        this.minRadius = options.minRadius || 5.0;
+        this.maxRadius = options.maxRadius || 60.0;
+        this.maxElevation = radians(85.0);
+
+        this.auto = true;
+        this.autoSpeed = options.autoSpeed !== undefined ? options.autoSpeed : 0.5;
+        this.autoPhase = this.azimuth;  // Auto azimuth is autoPhase + autoSpeed * time
+
+        this.damping = options.damping !== undefined ? options.damping : 4.0;
+        this.velocity = { azimuth: 0.0, elevation: 0.0, dolly: 0.0, panX: 0.0, panY: 0.0 };
+        this.dragging = false;
+        this.lastTimestamp = null;
+        this.time = 0.0;
+    }
+
+    // Switching back to auto carries on from the current angle.
+    setAuto(enabled) {
+        this.auto = enabled;
+        this.autoPhase = this.azimuth - this.autoSpeed * this.time;
+        for (var key in this.velocity) this.velocity[key] = 0.0;
+    }
+
+    // ----- Moves (radians, log-radius, world units) -----
+
+    rotate(dAzimuth, dElevation) {
+        this.azimuth += dAzimuth;
+        this.elevation = Math.min(Math.max(this.elevation + dElevation, -this.maxElevation), this.maxElevation);
+    }
+
+    // Positive moves away; the radius changes by a factor of e^amount.
+    dolly(amount) {
+        this.radius = Math.min(Math.max(this.radius * Math.exp(amount), this.minRadius), this.maxRadius);
+    }
+
+    // Slide the target (and the eye with it) across the view.
+    pan(dx, dy) {
+        var forward = normalize(subtract(this.target, this.eye()));
+        var right = normalize(cross(forward, [0, 1, 0]));
+        var up = cross(right, forward);
+        this.target = add(this.target, add(scalev(dx, right), scalev(dy, up)));
+    }
+
+    // ----- Per frame -----
+
+    // `time` is scene time; `timestamp` (ms) is the real frame time for inertia.
+    update(time, timestamp) {
+        var dt = (this.lastTimestamp === null) ? 0.0
+               : Math.min(Math.max((timestamp - this.lastTimestamp) / 1000.0, 0.0), 0.1);
+        this.lastTimestamp = timestamp;
+        this.time = time;
+
+        if (this.auto) {
+            this.azimuth = this.autoPhase + this.autoSpeed * time;
+            return;
+        }
+        if (this.dragging) return;  // The pointer moves the camera directly
+
+        var v = this.velocity;
+        this.rotate(v.azimuth * dt, v.elevation * dt);
+        this.dolly(v.dolly * dt);
+        if (v.panX !== 0.0 || v.panY !== 0.0) this.pan(v.panX * dt, v.panY * dt);
+
+        var decay = Math.exp(-this.damping * dt);
+        for (var key in v) {
+            v[key] *= decay;
+            if (Math.abs(v[key]) < 1e-4) v[key] = 0.0;
+        }
+    }
+
+    // Still drifting after a drag or wheel turn
+    isMoving() {
+        if (this.auto) return false;
+        for (var key in this.velocity) {
+            if (this.velocity[key] !== 0.0) return true;
+        }
+        return false;
+    }
+
+    eye() {
+        var c = Math.cos(this.elevation);
+        return vec3(this.target[0] + this.radius * c * Math.sin(this.azimuth),
+                    this.target[1] + this.radius * Math.sin(this.elevation),
+                    this.target[2] + this.radius * c * Math.cos(this.azimuth));
+    }
+
+    viewScale() {
+        return this.radius / this.baseRadius;
+    }
+}
+
+// ======================================================
+// Function: initCameraControls(camera, canvas, buttonId)
+// Left-drag orbits, right-drag (or middle-drag) pans and the wheel dollies.
+// Any of them takes the camera out of auto mode; the button switches
+// between the fly-around and manual control.
+// ======================================================
+function initCameraControls(camera, canvas, buttonId) {
+    const orbitPerPixel = 0.01;   // Radians
+    const dollyPerWheel = 0.001;  // Log-radius per wheel delta unit
+
+    var button = document.getElementById(buttonId);
+    var showMode = () => {
+        if (button) button.value = camera.auto ? "Camera: Auto Fly-Around" : "Camera: Manual";
+    };
+    var takeControl = () => {
+        if (camera.auto) {
+            camera.setAuto(false);
+            showMode();
+        }
+    };
+    if (button) {
+        button.onclick = function() {
+            camera.setAuto(!camera.auto);
+            showMode();
+            redrawIfPaused();
+        };
+    }
+    showMode();
+
+    var drag = null;  // { panning, x, y, time } of the last pointer event
+    canvas.oncontextmenu = event => event.preventDefault();
+    canvas.onpointerdown = function(event) {
+        takeControl();
+        drag = { panning: event.button !== 0, x: event.clientX, y: event.clientY, time: event.timeStamp };
+        for (var key in camera.velocity) camera.velocity[key] = 0.0;
+        camera.dragging = true;
+        canvas.setPointerCapture(event.pointerId);
+    };
+    canvas.onpointermove = function(event) {
+        if (!drag) return;
+        var dx = event.clientX - drag.x, dy = event.clientY - drag.y;
+        var seconds = Math.max((event.timeStamp - drag.time) / 1000.0, 1e-3);
+        if (drag.panning) {
+            var worldPerPixel = (right - left) * camera.viewScale() / canvas.clientWidth;
+            camera.pan(-dx * worldPerPixel, dy * worldPerPixel);
+            camera.velocity.panX = -dx * worldPerPixel / seconds;
+            camera.velocity.panY = dy * worldPerPixel / seconds;
+        } else {
+            camera.rotate(-dx * orbitPerPixel, dy * orbitPerPixel);
+            camera.velocity.azimuth = -dx * orbitPerPixel / seconds;
+            camera.velocity.elevation = dy * orbitPerPixel / seconds;
+        }
+        drag = { panning: drag.panning, x: event.clientX, y: event.clientY, time: event.timeStamp };
+        redrawIfPaused();
+    };
+    canvas.onpointerup = function(event) {
+        if (!drag) return;
+        // Held still before letting go: no throw
+        if (event.timeStamp - drag.time > 50) {
+            for (var key in camera.velocity) camera.velocity[key] = 0.0;
+        }
+        drag = null;
+        camera.dragging = false;
+        canvas.releasePointerCapture(event.pointerId);
+        redrawIfPaused();
+    };
+    canvas.onwheel = function(event) {
+        event.preventDefault();
+        takeControl();
+        // A velocity of amount * damping adds up to `amount` as it dies away
+        camera.velocity.dolly += event.deltaY * dollyPerWheel * camera.damping;
+        redrawIfPaused();
+    };
+}
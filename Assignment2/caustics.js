@@ -0,0 +1,65 @@
+// caustics.js - Animated underwater caustics for the "ocean dream" variant
+
+// ======================================================
+// Caustic Settings
+// ======================================================
+// The pattern is projected straight down in world space, so it lies flat on
+// the floor and wraps over the top of the Ballerina as she moves through it.
+//   scale     - Voronoi cells per world unit
+//   speed     - animation rate against the scene clock (sceneTime)
+//   intensity - brightness added on top of the lighting
+var causticSettings = {
+    enabled:   false,
+    scale:     0.9,
+    speed:     1.2,
+    intensity: 0.55,
+    color:     vec3(0.55, 0.85, 1.0)  // Sea-green light
+};
+
+// Backdrop and grading for each variant of the scene.
+const oceanDreamLook = {
+    clearColor: [0.12, 0.32, 0.45, 1.0],  // Deep water
+    tint:       [0.9, 1.0, 1.08]
+};
+const stageLook = {
+    clearColor: [1.0, 0.9, 0.95, 1.0],    // Soft pastel pink
+    tint:       [1.03, 0.99, 1.0]
+};
+
+// ======================================================
+// Function: uploadCaustics(receive)
+// Called once per view; pass false for objects that should not receive the
+// caustics (the starfield).
+// ======================================================
+function uploadCaustics(receive = true) {
+    var enabled = causticSettings.enabled && receive;
+    litShader.setUniform("causticsEnabled", enabled ? 1 : 0);
+    if (!enabled) return;
+    litShader.setUniform("causticScale", causticSettings.scale);
+    litShader.setUniform("causticSpeed", causticSettings.speed);
+    litShader.setUniform("causticIntensity", causticSettings.intensity);
+    litShader.setUniform("causticColor", causticSettings.color);
+}
+
+// ======================================================
+// Function: setOceanDream(enabled)
+// Switch between the stage and the underwater "ocean dream" variant.
+// ======================================================
+function setOceanDream(enabled) {
+    var look = enabled ? oceanDreamLook : stageLook;
+    causticSettings.enabled = enabled;
+    gl.clearColor.apply(gl, look.clearColor);
+    postEffects.get("Color Grading").settings.tint = look.tint;
+}
+
+// ======================================================
+// Function: initCausticsControls()
+// ======================================================
+function initCausticsControls() {
+    var oceanButton = document.getElementById("oceanToggleButton");
+    oceanButton.onclick = function() {
+        setOceanDream(!causticSettings.enabled);
+        oceanButton.value = "Ocean Dream: " + (causticSettings.enabled ? "On" : "Off");
+        redrawIfPaused();
+    };
+}
@@ -0,0 +1,466 @@
+// choreography.js - Ballet clips built on joint poses, and a sequencer to play them
+
+// ======================================================
+// BodyPose Class
+// ======================================================
+// Everything a clip animates: joint angles plus `spin` (degrees about the
+// vertical, on top of the Ballerina's facing) and `offset` (travel and rise
+// in the Ballerina's own frame: x right, y up, z forwards) and `plant`
+// (left and right, 0 to 1: how firmly each pointe shoe is held where it
+// touched down, see Ballerina.plantFeet()). Clips write into their own
+// BodyPose, so several can be sampled and blended before the result is
+// applied to the skeleton.
+class BodyPose {
+    constructor(skeleton) {
+        this.skeleton = skeleton;
+        this.angles = skeleton.getPose();
+        this.spin = 0.0;
+        this.offset = vec3(0.0, 0.0, 0.0);
+        this.plant = [0.0, 0.0];
+        this.reset();
+    }
+
+    // Same interface as Skeleton, so jointAngleTarget() can write here.
+    joint(name) {
+        return this.skeleton.joint(name);
+    }
+
+    setAngle(name, axis, degrees) {
+        this.angles[name][axis] = degrees;
+    }
+
+    // Back to the skeleton's rest angles, standing still.
+    reset() {
+        this.skeleton.order.forEach(joint => Object.assign(this.angles[joint.name], joint.rest));
+        this.spin = 0.0;
+        this.offset[0] = this.offset[1] = this.offset[2] = 0.0;
+        this.plant[0] = this.plant[1] = 0.0;
+    }
+
+    copy(other) {
+        for (var name in other.angles) {
+            Object.assign(this.angles[name], other.angles[name]);
+        }
+        this.spin = other.spin;
+        this.offset[0] = other.offset[0];
+        this.offset[1] = other.offset[1];
+        this.offset[2] = other.offset[2];
+        this.plant[0] = other.plant[0];
+        this.plant[1] = other.plant[1];
+        return this;
+    }
+
+    // Track target for a channel: "spin", "offset.x|y|z", "plant.L|R" or
+    // "<joint>.<axis>".
+    channelTarget(channel) {
+        if (channel === "spin") {
+            return propertyTarget(this, "spin");
+        }
+        var parts = channel.split(".");
+        if (parts[0] === "offset") {
+            return componentTarget(this.offset, "xyz".indexOf(parts[1]), channel);
+        }
+        if (parts[0] === "plant") {
+            return componentTarget(this.plant, "LR".indexOf(parts[1]), channel);
+        }
+        return jointAngleTarget(this, parts[0], parts[1]);
+    }
+
+    // Copy into the skeleton (which clamps to the joint limits) and the Ballerina.
+    applyTo(ballerina) {
+        ballerina.skeleton.setPose(this.angles);
+        ballerina.spin = this.spin;
+        ballerina.offset[0] = this.offset[0];
+        ballerina.offset[1] = this.offset[1];
+        ballerina.offset[2] = this.offset[2];
+        ballerina.plant[0] = this.plant[0];
+        ballerina.plant[1] = this.plant[1];
+    }
+
+    // out = a * (1 - w) + b * w. Spin takes the shorter way round, so a
+    // finished 720-degree pirouette does not unwind into the next clip.
+    static blend(out, a, b, w) {
+        for (var name in out.angles) {
+            var angles = out.angles[name], from = a.angles[name], to = b.angles[name];
+            for (var i = 0; i < JOINT_AXES.length; i++) {
+                var axis = JOINT_AXES[i];
+                angles[axis] = from[axis] + (to[axis] - from[axis]) * w;
+            }
+        }
+        var turn = ((b.spin - a.spin) % 360 + 540) % 360 - 180;
+        out.spin = a.spin + turn * w;
+        for (var i = 0; i < 3; i++) {
+            out.offset[i] = a.offset[i] + (b.offset[i] - a.offset[i]) * w;
+        }
+        out.plant[0] = a.plant[0] + (b.plant[0] - a.plant[0]) * w;
+        out.plant[1] = a.plant[1] + (b.plant[1] - a.plant[1]) * w;
+        return out;
+    }
+
+    // out += (pose - rest) * w, for layering a clip on top of another pose.
+    // Planting is left to the base pose.
+    static add(out, pose, w) {
+        pose.skeleton.order.forEach(joint => {
+            var angles = out.angles[joint.name], added = pose.angles[joint.name];
+            for (var i = 0; i < JOINT_AXES.length; i++) {
+                var axis = JOINT_AXES[i];
+                angles[axis] += (added[axis] - joint.rest[axis]) * w;
+            }
+        });
+        out.spin += pose.spin * w;
+        for (var i = 0; i < 3; i++) {
+            out.offset[i] += pose.offset[i] * w;
+        }
+        return out;
+    }
+}
+
+// ======================================================
+// PoseClip Class
+// ======================================================
+// An AnimationClip whose tracks write into its own BodyPose.
+class PoseClip extends AnimationClip {
+    constructor(name, pose, tracks, options) {
+        super(name, tracks, options);
+        this.pose = pose;
+    }
+
+    // Pose at `time` from the clip's start; unanimated channels stay at rest.
+    sample(time) {
+        this.pose.reset();
+        this.apply(time);
+        return this.pose;
+    }
+}
+
+// ======================================================
+// Function: buildPoseClip(name, skeleton, keyPoses, options)
+// Author a clip as timed key poses: [{ time, ease, pose: { channel: value } }].
+// Each channel gets a track keyed wherever it appears; `ease` shapes every
+// channel from that key pose to the next.
+// ======================================================
+function buildPoseClip(name, skeleton, keyPoses, options) {
+    var pose = new BodyPose(skeleton);
+    var channels = {};
+    keyPoses.forEach(keyPose => {
+        for (var channel in keyPose.pose) {
+            (channels[channel] = channels[channel] || []).push({
+                time:  keyPose.time,
+                value: keyPose.pose[channel],
+                ease:  keyPose.ease
+            });
+        }
+    });
+    var tracks = Object.keys(channels).map(channel => new KeyframeTrack(pose.channelTarget(channel), channels[channel]));
+    return new PoseClip(name, pose, tracks, Object.assign({ loop: false }, options));
+}
+
+// ======================================================
+// Poses
+// ======================================================
+// Flat channel maps, combined with object spread: { ...standing, ...firstPosition }.
+const standing = {
+    "hip_L.x": 0, "hip_L.z": 0, "hip_R.x": 0, "hip_R.z": 0,
+    "knee_L.x": 0, "knee_R.x": 0, "ankle_L.x": 0, "ankle_R.x": 0,
+    "spine.x": 0, "neck.x": 0, "neck.y": 0, "head.y": 0,
+    "shoulder_L.x": 0, "shoulder_L.z": -45, "shoulder_R.x": 0, "shoulder_R.z": 45,
+    "elbow_L.x": -15, "elbow_R.x": -15,
+    "offset.x": 0, "offset.y": 0, "offset.z": 0
+};
+
+// Feet flat (ankles flexed), knees bent over the toes, body lowered to suit
+const demiPlie = {
+    "hip_L.x": -15, "hip_R.x": -15, "knee_L.x": 30, "knee_R.x": 30,
+    "ankle_L.x": -70, "ankle_R.x": -70, "offset.y": -0.3
+};
+
+// Up on pointe with straight legs
+const releve = {
+    "hip_L.x": 0, "hip_R.x": 0, "knee_L.x": 0, "knee_R.x": 0,
+    "ankle_L.x": 0, "ankle_R.x": 0, "offset.y": 0.05
+};
+
+const armsLow = {           // Bras bas
+    "shoulder_L.x": -20, "shoulder_L.z": -20, "shoulder_R.x": -20, "shoulder_R.z": 20,
+    "elbow_L.x": -40, "elbow_R.x": -40
+};
+const armsFirst = {         // Rounded in front of the body
+    "shoulder_L.x": -60, "shoulder_L.z": -15, "shoulder_R.x": -60, "shoulder_R.z": 15,
+    "elbow_L.x": -70, "elbow_R.x": -70
+};
+const armsSecond = {        // Open to the sides
+    "shoulder_L.x": 0, "shoulder_L.z": -80, "shoulder_R.x": 0, "shoulder_R.z": 80,
+    "elbow_L.x": -15, "elbow_R.x": -15
+};
+const armsHigh = {          // En haut, framing the head
+    "shoulder_L.x": -165, "shoulder_L.z": -15, "shoulder_R.x": -165, "shoulder_R.z": 15,
+    "elbow_L.x": -30, "elbow_R.x": -30
+};
+
+// Key poses for the plant channels alone: [[time, left, right], ...]
+function plantKeys(keys) {
+    return keys.map(key => ({ time: key[0], ease: "linear", pose: { "plant.L": key[1], "plant.R": key[2] } }));
+}
+
+// ======================================================
+// Choreography Clips
+// ======================================================
+
+// Gentle sway: arms swing, hips rock and the knees take turns to bend.
+// Period pi seconds; quarter-sine easings between the extremes trace the
+// sine waves exactly.
+function idleClip(skeleton) {
+    const period = Math.PI;
+    const q = period / 4;
+    const pose = new BodyPose(skeleton);
+    const wave = (channel, base, amplitude) => new KeyframeTrack(pose.channelTarget(channel), [
+        { time: 0,      value: base,             ease: "easeOutSine" },
+        { time: q,      value: base + amplitude, ease: "easeInOutSine" },
+        { time: 3 * q,  value: base - amplitude, ease: "easeInSine" },
+        { time: period, value: base }
+    ]);
+
+    // Each knee bends to 75 degrees for part of the cycle and rests at 30
+    const rise = Math.asin(0.4) / 2;  // Time from a knee's peak at which 75 sin(2t) reaches 30
+    const kneeL = new KeyframeTrack(pose.channelTarget("knee_L.x"), [
+        { time: 0,            value: 30 },
+        { time: rise,         value: 30, ease: "easeOutSine" },
+        { time: q,            value: 75, ease: "easeInSine" },
+        { time: 2 * q - rise, value: 30 },
+        { time: period,       value: 30 }
+    ]);
+    const kneeR = new KeyframeTrack(pose.channelTarget("knee_R.x"), [
+        { time: 0,                 value: 75, ease: "easeInSine" },
+        { time: q - rise,          value: 30 },
+        { time: period - q + rise, value: 30, ease: "easeOutSine" },
+        { time: period,            value: 75 }
+    ]);
+
+    return new PoseClip("idle", pose, [
+        wave("shoulder_L.x", 0, 12),
+        wave("shoulder_R.x", 0, -12),
+        wave("hip_L.x", 1, 10),
+        wave("hip_R.x", 1, 10),
+        kneeL,
+        kneeR
+    ], { duration: period, loop: true });
+}
+
+// Double pirouette en dehors from fourth position: plié, rise into retiré on
+// the right leg and turn twice while spotting. The head holds facing front
+// as the body turns, whips round past the half turn, then leads the body
+// back to the front. Neck and head share the twist in proportion to their
+// limits (50 and 80 degrees).
+function pirouetteClip(skeleton) {
+    const turns = 2;
+    const start = 0.8, turnTime = 0.8;
+    const end = start + turns * turnTime;
+
+    const retire = {
+        ...releve, ...armsFirst,
+        "hip_L.x": -70, "hip_L.z": -45, "knee_L.x": 130, "offset.y": 0.05
+    };
+    const fourth = {
+        ...demiPlie,
+        "hip_L.x": -25, "hip_R.x": 20, "offset.y": -0.25
+    };
+
+    var keyPoses = [
+        { time: 0,          ease: "easeInOutSine", pose: { ...standing } },
+        { time: 0.5,        ease: "easeOutCubic",  pose: { ...fourth, ...armsSecond, "shoulder_L.x": -60, "shoulder_L.z": -30, "spin": 0 } },
+        { time: start,      ease: "linear",        pose: { ...retire, "spin": 0 } },
+        { time: end,        ease: "easeInOutSine", pose: { ...retire, "spin": 360 * turns } },
+        { time: end + 0.4,  ease: "easeInOutSine", pose: { ...fourth, ...armsSecond, "knee_L.x": 30, "hip_L.z": 0 } },
+        { time: end + 1.0,                         pose: { ...standing } },
+
+        // Feet held through the preparation and the landing, free to turn
+        ...plantKeys([[0, 1, 1], [0.5, 1, 1], [0.6, 0, 0], [end + 0.4, 0, 0], [end + 0.5, 1, 1]])
+    ];
+
+    // Spotting: twist held against the turn, whipped across, then released
+    const spot = 125;  // Degrees the head can lag or lead the body
+    const spotKey = (time, twist) => ({ time: time, ease: "linear",
+                                        pose: { "neck.y": twist * 50 / 130, "head.y": twist * 80 / 130 } });
+    for (var turn = 0; turn < turns; turn++) {
+        var t0 = start + turn * turnTime;
+        keyPoses.push(spotKey(t0, 0));
+        keyPoses.push(spotKey(t0 + turnTime * spot / 360, -spot));
+        keyPoses.push(spotKey(t0 + turnTime * (360 - spot) / 360, spot));
+    }
+    keyPoses.push(spotKey(end, 0));
+
+    return buildPoseClip("pirouette", skeleton, keyPoses.sort((a, b) => a.time - b.time));
+}
+
+// Grand jeté: plié, push off into a split leap and land on the front leg.
+// The rise uses easeOutQuad and the fall easeInQuad, which together trace a
+// parabola like a real jump. The leap travels forwards, and the dancer steps
+// back to her mark while recovering.
+function grandJeteClip(skeleton) {
+    const preparation = {
+        ...demiPlie, ...armsLow,
+        "hip_L.x": -30, "hip_R.x": 15, "knee_L.x": 45, "knee_R.x": 45,
+        "ankle_L.x": -60, "ankle_R.x": -60, "spine.x": 10, "offset.y": -0.35, "offset.z": 0
+    };
+    const split = {
+        ...releve,
+        "hip_L.x": -95, "hip_R.x": 85, "spine.x": -10, "neck.x": -10,
+        "shoulder_L.x": -100, "shoulder_L.z": -10, "shoulder_R.x": 0, "shoulder_R.z": 95,
+        "elbow_L.x": -10, "elbow_R.x": -10,
+        "offset.y": 1.1, "offset.z": 0.7
+    };
+    const landing = {
+        ...armsSecond,
+        "hip_L.x": -30, "hip_R.x": 40, "knee_L.x": 40, "knee_R.x": 20,
+        "ankle_L.x": -60, "ankle_R.x": -30, "spine.x": 5, "neck.x": 0,
+        "offset.y": -0.3, "offset.z": 1.4
+    };
+
+    return buildPoseClip("grand jeté", skeleton, [
+        { time: 0,    ease: "easeInOutSine", pose: { ...standing } },
+        { time: 0.45, ease: "linear",        pose: preparation },
+        { time: 0.6,  ease: "easeOutQuad",   pose: { ...preparation, "hip_L.x": -60, "hip_R.x": 40, "knee_L.x": 10, "knee_R.x": 10,
+                                                     "ankle_L.x": 0, "ankle_R.x": 0, "offset.y": 0, "offset.z": 0.1 } },
+        { time: 0.95, ease: "easeInQuad",    pose: split },
+        { time: 1.3,  ease: "easeInOutSine", pose: landing },
+        { time: 2.1,                         pose: { ...standing } },
+        ...plantKeys([[0, 1, 1], [0.45, 1, 1], [0.55, 0, 0]])
+    ]);
+}
+
+// Arabesque: the left leg extends straight behind, the body tips forwards to
+// balance it, the right arm reaches forwards and the left opens to the side.
+// Held, then released.
+function arabesqueClip(skeleton) {
+    const arabesque = {
+        ...releve,
+        "hip_L.x": 90, "spine.x": 15, "neck.x": -10,
+        "shoulder_R.x": -110, "shoulder_R.z": 10, "shoulder_L.x": 0, "shoulder_L.z": -85,
+        "elbow_L.x": -10, "elbow_R.x": -10, "offset.y": 0
+    };
+
+    return buildPoseClip("arabesque", skeleton, [
+        { time: 0,   ease: "easeInOutSine", pose: { ...standing } },
+        { time: 0.8, ease: "linear",        pose: arabesque },
+        { time: 2.4, ease: "easeInOutSine", pose: arabesque },
+        { time: 3.2,                        pose: { ...standing } },
+        ...plantKeys([[0, 0, 1]])  // The supporting leg
+    ]);
+}
+
+// Relevés: sink into demi-plié with the feet flat, then rise onto pointe
+// with the arms sweeping overhead. Twice.
+function releveClip(skeleton) {
+    const down = { ...demiPlie, ...armsLow };
+    const up   = { ...releve, ...armsHigh };
+
+    return buildPoseClip("relevé", skeleton, [
+        { time: 0,   ease: "easeInOutSine", pose: { ...standing } },
+        { time: 0.5, ease: "easeOutCubic",  pose: down },
+        { time: 1.0, ease: "easeInOutSine", pose: up },
+        { time: 1.6, ease: "easeOutCubic",  pose: down },
+        { time: 2.1, ease: "linear",        pose: up },
+        { time: 2.7, ease: "easeInOutSine", pose: up },
+        { time: 3.3,                        pose: { ...standing } },
+        ...plantKeys([[0, 1, 1]])
+    ]);
+}
+
+// Breathing, for an additive layer: the chest lifts, the shoulders open a
+// little and the head rises on each inhale. Keyed about the rest pose.
+function breathingClip(skeleton) {
+    const inhale = {
+        "spine.x": -2, "neck.x": -1.5,
+        "shoulder_L.z": -48, "shoulder_R.z": 48, "offset.y": 0.01
+    };
+    const exhale = {
+        "spine.x": 0, "neck.x": 0,
+        "shoulder_L.z": -45, "shoulder_R.z": 45, "offset.y": 0
+    };
+
+    return buildPoseClip("breathing", skeleton, [
+        { time: 0,   ease: "easeInOutSine", pose: exhale },
+        { time: 1.6, ease: "easeInOutSine", pose: inhale },
+        { time: 4.0,                        pose: exhale }
+    ], { loop: true });
+}
+
+// ======================================================
+// ChoreographySequencer Class
+// ======================================================
+// Plays entries ({ clip, duration }) back to back, optionally looping. The
+// first `blendTime` seconds of each entry crossfade from the previous one,
+// which keeps playing (or holds its last frame) underneath. Evaluation depends
+// only on the time passed in, so the sequence can be scrubbed. Like a
+// PoseClip it has sample(time), so it can play in an AnimationMixer.
+class ChoreographySequencer {
+    constructor(skeleton, entries, options = {}) {
+        this.name = options.name || "routine";
+        this.entries = [];
+        this.totalDuration = 0.0;
+        entries.forEach(entry => this.add(entry.clip, entry.duration));
+
+        this.blendTime = options.blendTime !== undefined ? options.blendTime : 0.4;
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.result = new BodyPose(skeleton);
+        this.previous = new BodyPose(skeleton);
+        this.currentName = "";
+    }
+
+    add(clip, duration) {
+        var entry = { clip: clip, start: this.totalDuration,
+                      duration: duration !== undefined ? duration : clip.duration };
+        this.entries.push(entry);
+        this.totalDuration += entry.duration;
+        return entry;
+    }
+
+    // Index of the entry playing at sequence time t.
+    entryAt(t) {
+        for (var i = this.entries.length - 1; i > 0; i--) {
+            if (t >= this.entries[i].start) return i;
+        }
+        return 0;
+    }
+
+    evaluate(time) {
+        var t = this.loop ? ((time % this.totalDuration) + this.totalDuration) % this.totalDuration
+                          : Math.min(Math.max(time, 0.0), this.totalDuration);
+        var index = this.entryAt(t);
+        var entry = this.entries[index];
+        var local = t - entry.start;
+        this.currentName = entry.clip.name;
+
+        var hasPrevious = index > 0 || (this.loop && this.entries.length > 1);
+        if (local >= this.blendTime || !hasPrevious) {
+            return this.result.copy(entry.clip.sample(local));
+        }
+
+        // Sample the outgoing clip first: the same clip may follow itself
+        var previous = this.entries[(index + this.entries.length - 1) % this.entries.length];
+        this.previous.copy(previous.clip.sample(previous.duration + local));
+        var weight = Easing.easeInOutSine(local / this.blendTime);
+        return BodyPose.blend(this.result, this.previous, entry.clip.sample(local), weight);
+    }
+
+    sample(time) {
+        return this.evaluate(time);
+    }
+}
+
+// ======================================================
+// Function: defaultChoreography(skeleton)
+// The Ballerina's routine, returning to the idle sway between moves.
+// ======================================================
+function defaultChoreography(skeleton) {
+    var idle = idleClip(skeleton);
+    return new ChoreographySequencer(skeleton, [
+        { clip: idle, duration: 2 * idle.duration },
+        { clip: pirouetteClip(skeleton) },
+        { clip: idle },
+        { clip: grandJeteClip(skeleton) },
+        { clip: arabesqueClip(skeleton) },
+        { clip: idle },
+        { clip: releveClip(skeleton) }
+    ], { name: "routine", blendTime: 0.4, loop: true });
+}
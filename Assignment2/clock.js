@@ -0,0 +1,86 @@
+// clock.js - Scene clock: play / pause / seek, time scale and fixed-step mode
+
+// ======================================================
+// Clock Class
+// ======================================================
+// Scene time in seconds, advanced from requestAnimationFrame timestamps by
+// tick(). Everything animated reads `time` (or the `delta` of the last
+// tick), so pausing, slow motion and seeking affect the whole scene alike.
+//   - The first tick after play() advances by 0, however long the pause was.
+//   - A real frame longer than `maxDelta` (a hidden tab, a breakpoint)
+//     counts as `maxDelta`; otherwise one real second is one scene second
+//     times `timeScale`.
+//   - With `fixedStep` set, time only moves in whole steps, carrying the
+//     remainder to the next tick, so the scene goes through the same
+//     states whatever the display rate.
+class Clock {
+    constructor(options = {}) {
+        this.time = 0.0;
+        this.delta = 0.0;          // Scene seconds added by the last tick
+        this.playing = false;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : 1.0;
+        this.fixedStep = options.fixedStep || 0.0;  // Seconds per step; 0 for variable steps
+        this.maxDelta = options.maxDelta !== undefined ? options.maxDelta : 0.25;
+
+        this.lastTimestamp = null;
+        this.accumulator = 0.0;
+    }
+
+    play() {
+        if (!this.playing) {
+            this.playing = true;
+            this.lastTimestamp = null;
+        }
+    }
+
+    pause() {
+        this.playing = false;
+        this.lastTimestamp = null;
+    }
+
+    toggle() {
+        if (this.playing) this.pause(); else this.play();
+    }
+
+    // Jump to scene time t (seconds, not before 0).
+    seek(t) {
+        this.time = Math.max(t, 0.0);
+        this.delta = 0.0;
+        this.accumulator = 0.0;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(scale, 0.0);
+    }
+
+    // Seconds per simulation step, or 0 to follow the display rate.
+    setFixedStep(step) {
+        this.fixedStep = Math.max(step, 0.0);
+        this.accumulator = 0.0;
+    }
+
+    // Advance from a requestAnimationFrame timestamp (milliseconds).
+    // Returns the scene-time delta, which is 0 while paused.
+    tick(timestamp) {
+        if (!this.playing) {
+            this.delta = 0.0;
+            return this.delta;
+        }
+        var elapsed = (this.lastTimestamp === null) ? 0.0
+                    : Math.min(Math.max((timestamp - this.lastTimestamp) / 1000.0, 0.0), this.maxDelta);
+        this.lastTimestamp = timestamp;
+
+        var scaled = elapsed * this.timeScale;
+        if (this.fixedStep > 0.0) {
+            this.accumulator += scaled;
+            var steps = Math.floor(this.accumulator / this.fixedStep);
+            this.accumulator -= steps * this.fixedStep;
+            scaled = steps * this.fixedStep;
+        }
+        this.delta = scaled;
+        this.time += this.delta;
+        return this.delta;
+    }
+}
+
+var sceneClock = new Clock();
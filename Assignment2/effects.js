@@ -0,0 +1,35 @@
+// effects.js - The post-processing effect stack used by the scene
+
+// ======================================================
+// Function: initPostEffects()
+// Push the effects onto `postEffects` in their default order. Each one can be
+// switched off or moved with the controls under the canvas, or from code via
+// postEffects.setEnabled(name, flag), move(name, index) and setOrder(names).
+// ======================================================
+function initPostEffects() {
+    postEffects.push(new BloomPass());
+
+    postEffects.push(new PostPass("Color Grading", "color-grading-fragment-shader", {
+        exposure:   1.0,
+        contrast:   1.08,
+        saturation: 1.1,
+        tint:       [1.03, 0.99, 1.0]   // Slightly warm, to match the follow-spot
+    }));
+
+    postEffects.push(new PostPass("Chromatic Aberration", "chromatic-aberration-fragment-shader", {
+        amount: 0.004                   // Channel offset at the corners, in texture units
+    })).enabled = false;
+
+    postEffects.push(new PostPass("Vignette", "vignette-fragment-shader", {
+        radius:   0.75,                 // Distance from the centre where darkening starts
+        softness: 0.45,
+        strength: 0.6
+    }));
+
+    postEffects.push(new PostPass("Film Grain", "film-grain-fragment-shader", {
+        amount: 0.06
+    })).enabled = false;
+
+    initBloomControls();
+    initPostEffectControls("postEffectControls");
+}
@@ -0,0 +1,114 @@
+// ik.js - Analytic two-bone inverse kinematics with a pole vector
+
+// ======================================================
+// Function: solveTwoBone(upper, lower, target, pole, bend)
+// Angles that put the end of a two-bone chain at `target`.
+//   upper, lower - bone lengths; both bones hang along -y at rest
+//   target       - end position relative to the root joint, in its parent's frame
+//   pole         - direction the middle joint should point, same frame
+//   bend         - sign of the hinge angle (+1 knees, -1 elbows)
+// Returns { x, y, z } for the root joint and `hinge` for the middle joint's
+// x axis, in degrees. Targets out of reach leave the chain nearly straight,
+// pointing at them.
+// ======================================================
+function solveTwoBone(upper, lower, target, pole, bend) {
+    var distance = Math.min(Math.max(length(target), Math.abs(upper - lower) + 1e-4), upper + lower - 1e-4);
+
+    // Law of cosines for the interior angle at the middle joint
+    var cosInterior = (upper * upper + lower * lower - distance * distance) / (2.0 * upper * lower);
+    var hinge = bend * (180.0 - degrees(Math.acos(Math.min(Math.max(cosInterior, -1.0), 1.0))));
+
+    // The bent chain in the root joint's own frame: `a` towards the end,
+    // `b` the way the middle joint juts out (in the y-z bending plane)
+    var h = radians(hinge);
+    var a = normalize([0.0, -upper - lower * Math.cos(h), -lower * Math.sin(h)]);
+    var b = [0.0, bend * a[2], -bend * a[1]];
+    var c = cross(a, b);
+
+    // The same directions wanted in the parent's frame
+    var a2 = normalize(target.slice(0, 3));
+    var b2 = subtract(pole, scalev(dot(pole, a2), a2));
+    if (length(b2) < 1e-6) {
+        b2 = cross(a2, Math.abs(a2[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);  // Pole along the chain: any side will do
+    }
+    b2 = normalize(b2);
+    var c2 = cross(a2, b2);
+
+    // Rotation taking (a, b, c) onto (a2, b2, c2), split into the joint's
+    // z * y * x angles
+    var R = (i, j) => a2[i] * a[j] + b2[i] * b[j] + c2[i] * c[j];
+    return {
+        x: degrees(Math.atan2(R(2, 1), R(2, 2))),
+        y: degrees(Math.asin(Math.min(Math.max(-R(2, 0), -1.0), 1.0))),
+        z: degrees(Math.atan2(R(1, 0), R(0, 0))),
+        hinge: hinge
+    };
+}
+
+// ======================================================
+// TwoBoneIK Class
+// ======================================================
+// Solves one chain of a Skeleton (root joint, hinge joint, end joint) for a
+// world-space target. World matrices must be current
+// (root.updateWorldMatrix()); the two solved joints are posed straight away,
+// and the results are clamped to the joint limits like any other angle.
+class TwoBoneIK {
+    constructor(skeleton, chain) {
+        this.skeleton = skeleton;
+        this.root = skeleton.joint(chain.root);
+        this.mid = skeleton.joint(chain.mid);
+        this.end = skeleton.joint(chain.end);
+        this.bend = chain.bend;
+        this.pole = chain.pole;
+        this.upper = length(this.mid.pivot);
+        this.lower = length(this.end.pivot);
+
+        this.inverse = mat4f();
+        this.point = vec4f();
+    }
+
+    // `pole` is an optional world-space point for the middle joint to aim at;
+    // otherwise the chain's default direction is used.
+    solve(target, pole) {
+        mat4fInvert(this.inverse, this.root.node.parent.worldMatrix);
+        var local = this.toLocal(target);
+        var poleDirection = pole ? this.toLocal(pole) : this.pole;
+
+        var solution = solveTwoBone(this.upper, this.lower, local, poleDirection, this.bend);
+        this.skeleton.setAngles(this.root.name, { x: solution.x, y: solution.y, z: solution.z });
+        this.skeleton.setAngle(this.mid.name, "x", solution.hinge);
+        this.root.node.setRotation(this.root.rotation());
+        this.mid.node.setRotation(this.mid.rotation());
+        return solution;
+    }
+
+    // World point -> offset from the root joint in its parent's frame
+    toLocal(p) {
+        this.point[0] = p[0];
+        this.point[1] = p[1];
+        this.point[2] = p[2];
+        this.point[3] = 1.0;
+        mat4fTransformVec4(this.point, this.inverse, this.point);
+        var pivot = this.root.pivot;
+        return vec3(this.point[0] - pivot[0], this.point[1] - pivot[1], this.point[2] - pivot[2]);
+    }
+}
+
+// ======================================================
+// Ballerina IK Chains
+// ======================================================
+// Knees point forwards and elbows backwards unless given a pole.
+const ballerinaIKChains = {
+    leg_L: { root: "hip_L",      mid: "knee_L",  end: "ankle_L", bend:  1, pole: [0, 0,  1] },
+    leg_R: { root: "hip_R",      mid: "knee_R",  end: "ankle_R", bend:  1, pole: [0, 0,  1] },
+    arm_L: { root: "shoulder_L", mid: "elbow_L", end: "wrist_L", bend: -1, pole: [0, 0, -1] },
+    arm_R: { root: "shoulder_R", mid: "elbow_R", end: "wrist_R", bend: -1, pole: [0, 0, -1] }
+};
+
+function createIKChains(skeleton, chains) {
+    var solvers = {};
+    for (var name in chains) {
+        solvers[name] = new TwoBoneIK(skeleton, chains[name]);
+    }
+    return solvers;
+}
@@ -0,0 +1,173 @@
+// keyframes.js - Keyframe tracks, easing curves and animation clips
+
+// ======================================================
+// Easing Curves
+// ======================================================
+// Each maps segment progress t in [0, 1] to an interpolation weight.
+const Easing = {
+    linear:         t => t,
+    step:           t => (t < 1.0 ? 0.0 : 1.0),  // Hold the key's value until the next key
+    easeInQuad:     t => t * t,
+    easeOutQuad:    t => t * (2.0 - t),
+    easeInOutQuad:  t => (t < 0.5 ? 2.0 * t * t : 1.0 - 2.0 * (1.0 - t) * (1.0 - t)),
+    easeInCubic:    t => t * t * t,
+    easeOutCubic:   t => 1.0 - Math.pow(1.0 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4.0 * t * t * t : 1.0 - 4.0 * Math.pow(1.0 - t, 3)),
+    easeInSine:     t => 1.0 - Math.cos(t * Math.PI / 2.0),
+    easeOutSine:    t => Math.sin(t * Math.PI / 2.0),
+    easeInOutSine:  t => 0.5 - 0.5 * Math.cos(t * Math.PI),
+    easeOutBack:    t => 1.0 + 2.70158 * Math.pow(t - 1.0, 3) + 1.70158 * Math.pow(t - 1.0, 2)
+};
+
+// ======================================================
+// Function: cubicBezier(x1, y1, x2, y2)
+// CSS-style timing curve through (0,0), (x1,y1), (x2,y2), (1,1).
+// ======================================================
+function cubicBezier(x1, y1, x2, y2) {
+    var bezier = (p1, p2, s) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+    var slope  = (p1, p2, s) => 3 * (1 - s) * (1 - s) * p1 + 6 * (1 - s) * s * (p2 - p1) + 3 * s * s * (1 - p2);
+
+    return function(t) {
+        if (t <= 0.0) return 0.0;
+        if (t >= 1.0) return 1.0;
+
+        // Solve x(s) = t: Newton steps, falling back to bisection
+        var s = t;
+        for (var i = 0; i < 8; i++) {
+            var dx = bezier(x1, x2, s) - t;
+            var d = slope(x1, x2, s);
+            if (Math.abs(dx) < 1e-6) return bezier(y1, y2, s);
+            if (Math.abs(d) < 1e-6) break;
+            s -= dx / d;
+        }
+        var lo = 0.0, hi = 1.0;
+        s = t;
+        for (var i = 0; i < 30; i++) {
+            if (bezier(x1, x2, s) < t) lo = s; else hi = s;
+            s = 0.5 * (lo + hi);
+        }
+        return bezier(y1, y2, s);
+    };
+}
+
+// Accepts an Easing name, a function, or undefined (linear).
+function resolveEasing(ease) {
+    if (ease === undefined) return Easing.linear;
+    if (typeof ease === "function") return ease;
+    if (!(ease in Easing)) {
+        throw "resolveEasing(): unknown easing " + ease;
+    }
+    return Easing[ease];
+}
+
+// ======================================================
+// Track Targets
+// ======================================================
+// A target is { name, set(value) } and receives the evaluated value.
+
+function jointAngleTarget(skeleton, jointName, axis) {
+    skeleton.joint(jointName);  // Fail early on a misspelt joint
+    return {
+        name: jointName + "." + axis,
+        set:  value => skeleton.setAngle(jointName, axis, value)
+    };
+}
+
+// Any numeric or vector property, e.g. propertyTarget(spotLight, "intensity")
+function propertyTarget(object, key, name) {
+    return {
+        name: name || String(key),
+        set:  value => { object[key] = Array.isArray(value) ? value.slice() : value; }
+    };
+}
+
+// One component of a vector in place, e.g. componentTarget(ballerina.position, 1)
+function componentTarget(vector, index, name) {
+    return {
+        name: name || "[" + index + "]",
+        set:  value => { vector[index] = value; }
+    };
+}
+
+// ======================================================
+// KeyframeTrack Class
+// ======================================================
+// Keys are { time, value, ease } sorted by time, where `ease` shapes the
+// segment from that key to the next. Values are numbers or equal-length
+// arrays. Before the first key and after the last the end value holds.
+class KeyframeTrack {
+    constructor(target, keys) {
+        if (keys.length === 0) {
+            throw "KeyframeTrack: a track needs at least one key";
+        }
+        this.target = target;
+        this.keys = keys.map(key => ({ time: key.time, value: key.value, ease: resolveEasing(key.ease) }))
+                        .sort((a, b) => a.time - b.time);
+    }
+
+    get duration() {
+        return this.keys[this.keys.length - 1].time;
+    }
+
+    evaluate(time) {
+        var keys = this.keys;
+        if (time <= keys[0].time) return keys[0].value;
+        if (time >= keys[keys.length - 1].time) return keys[keys.length - 1].value;
+
+        // Binary search for the segment containing `time`
+        var lo = 0, hi = keys.length - 1;
+        while (hi - lo > 1) {
+            var mid = (lo + hi) >> 1;
+            if (keys[mid].time <= time) lo = mid; else hi = mid;
+        }
+        var a = keys[lo], b = keys[hi];
+        var weight = a.ease((time - a.time) / (b.time - a.time));
+        return interpolateValue(a.value, b.value, weight);
+    }
+
+    apply(time) {
+        this.target.set(this.evaluate(time));
+    }
+}
+
+// Unclamped, so overshooting easings (easeOutBack) can go past the keys.
+function interpolateValue(a, b, weight) {
+    if (typeof a === "number") {
+        return a + (b - a) * weight;
+    }
+    return a.map((value, i) => value + (b[i] - value) * weight);
+}
+
+// ======================================================
+// AnimationClip Class
+// ======================================================
+// A set of tracks played together. `loop` wraps time around the duration;
+// otherwise the clip clamps and holds its last frame. The duration defaults
+// to the latest key of any track.
+class AnimationClip {
+    constructor(name, tracks, options = {}) {
+        this.name = name;
+        this.tracks = tracks;
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.duration = options.duration !== undefined ? options.duration
+                                                       : Math.max(...tracks.map(track => track.duration));
+    }
+
+    // Clip-local time for a time measured from the clip's start.
+    localTime(time) {
+        if (this.duration <= 0.0) return 0.0;
+        if (this.loop) {
+            return ((time % this.duration) + this.duration) % this.duration;
+        }
+        return Math.min(Math.max(time, 0.0), this.duration);
+    }
+
+    isFinished(time) {
+        return !this.loop && time >= this.duration;
+    }
+
+    apply(time) {
+        var t = this.localTime(time);
+        this.tracks.forEach(track => track.apply(t));
+    }
+}
@@ -0,0 +1,186 @@
+// lights.js - Stage lighting: point, directional and spot lights summed in the shader
+
+// ======================================================
+// Light Types
+// ======================================================
+// Must match LIGHT_* and MAX_LIGHTS in the shaders (main.html).
+const LIGHT_POINT       = 0;
+const LIGHT_DIRECTIONAL = 1;
+const LIGHT_SPOT        = 2;
+const MAX_LIGHTS        = 4;
+
+// ======================================================
+// Light Class
+// ======================================================
+// Positions and directions are given in world coordinates and moved into
+// eye space by uploadLights() every time the view matrix changes.
+//   - point:       position is the light's location (w = 1)
+//   - directional: position is the direction *towards* the light (w = 0)
+//   - spot:        position is the location, direction is the cone axis;
+//                  if a target is set the axis is re-aimed at it on upload
+// `intensity` scales diffuse and specular so lights can be faded in and out.
+class Light {
+    constructor(options) {
+        this.type      = options.type !== undefined ? options.type : LIGHT_POINT;
+        this.position  = options.position  || vec4(0.0, 0.0, 100.0, 1.0);
+        this.direction = options.direction || vec3(0.0, 0.0, -1.0);
+        this.ambient   = options.ambient   || vec4(0.0, 0.0, 0.0, 1.0);
+        this.diffuse   = options.diffuse   || vec4(1.0, 1.0, 1.0, 1.0);
+        this.specular  = options.specular  || vec4(1.0, 1.0, 1.0, 1.0);
+        this.cutoff    = options.cutoff   !== undefined ? options.cutoff   : 30.0;  // Spot half-angle (degrees)
+        this.exponent  = options.exponent !== undefined ? options.exponent : 10.0;  // Spot falloff
+        this.intensity = options.intensity !== undefined ? options.intensity : 1.0;
+        this.target    = options.target || null;  // World-space vec3 the spot aims at
+        this.enabled   = options.enabled  !== undefined ? options.enabled  : true;
+    }
+
+    // Point a spot light at a world-space position.
+    aimAt(target) {
+        this.target = vec3(target[0], target[1], target[2]);
+    }
+
+    // Cone axis in world coordinates.
+    worldDirection() {
+        if (this.target) {
+            return subtract(this.target, vec3(this.position[0], this.position[1], this.position[2]));
+        }
+        return this.direction;
+    }
+}
+
+var lights = [];  // Active stage lights (at most MAX_LIGHTS are uploaded).
+var spotLight;    // Theatrical follow-spot that tracks the Ballerina.
+
+// ======================================================
+// Follow-spot Iris
+// ======================================================
+// The performance opens with a narrow iris on the Ballerina that widens over
+// `duration` seconds of scene time from `startTime`, so going back in time
+// closes it again. Every field can be changed at runtime to re-animate it.
+var spotIris = {
+    startCutoff:   2.5,   // Cone half-angle at curtain up (degrees).
+    endCutoff:     8.0,   // Cone half-angle once fully open (degrees).
+    startExponent: 400.0, // Tight, hard-edged pool of light...
+    endExponent:   120.0, // ...softening as the iris opens.
+    duration:      4.0,   // Seconds for the iris to open.
+    startTime:     0.0    // Scene time the iris starts opening (seconds).
+};
+
+// ======================================================
+// Function: initLights()
+// Build the stage rig from the lighting parameters declared in main.js:
+// a key light, a soft fill light, a coloured rim light from behind and a
+// follow-spot from above the stage.
+// ======================================================
+function initLights() {
+    spotLight = new Light({
+        type:     LIGHT_SPOT,
+        position: spotLightPosition,
+        diffuse:  spotLightDiffuse,
+        specular: spotLightSpecular,
+        cutoff:   spotIris.startCutoff,
+        exponent: spotIris.startExponent,
+        target:   vec3(0.0, 0.0, 0.0)
+    });
+
+    lights = [
+        // Key light: bright white point light in front of the stage.
+        new Light({
+            type:     LIGHT_POINT,
+            position: lightPosition,
+            ambient:  lightAmbient,
+            diffuse:  lightDiffuse,
+            specular: lightSpecular
+        }),
+        // Fill light: dim directional light from the upper right.
+        new Light({
+            type:     LIGHT_DIRECTIONAL,
+            position: vec4(lightPosition2[0], lightPosition2[1], lightPosition2[2], 0.0),
+            diffuse:  fillLightDiffuse,
+            specular: fillLightSpecular
+        }),
+        // Rim light: coloured point light behind the Ballerina.
+        new Light({
+            type:     LIGHT_POINT,
+            position: rimLightPosition,
+            diffuse:  rimLightDiffuse,
+            specular: rimLightSpecular
+        }),
+        spotLight
+    ];
+}
+
+// ======================================================
+// Function: updateSpotlight(time, target)
+// Keep the follow-spot on `target` (a world-space position) and open the
+// iris as far as scene time `time` calls for.
+// ======================================================
+function updateSpotlight(time, target) {
+    spotLight.aimAt(target);
+
+    var t = spotIris.duration > 0 ? (time - spotIris.startTime) / spotIris.duration : 1.0;
+    t = Math.min(Math.max(t, 0.0), 1.0);
+    t = t * t * (3.0 - 2.0 * t);  // Smoothstep ease-in-out
+
+    spotLight.cutoff   = spotIris.startCutoff   + (spotIris.endCutoff   - spotIris.startCutoff)   * t;
+    spotLight.exponent = spotIris.startExponent + (spotIris.endExponent - spotIris.startExponent) * t;
+}
+
+// ======================================================
+// Function: resetSpotIris(time)
+// Close the iris again so the opening replays from scene time `time`.
+// ======================================================
+function resetSpotIris(time) {
+    spotIris.startTime = time;
+}
+
+// ======================================================
+// Function: transformPoint(m, v)
+// Multiply a vec4 by a (row-major) MV.js mat4.
+// ======================================================
+function transformPoint(m, v) {
+    var result = [];
+    for (var i = 0; i < 4; i++) {
+        result.push(m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2] + m[i][3] * v[3]);
+    }
+    return result;
+}
+
+// ======================================================
+// Function: uploadLights()
+// Transform every enabled light into eye space with the current viewMatrix
+// and upload the uniform arrays. Call whenever viewMatrix changes.
+// ======================================================
+function uploadLights() {
+    var active = lights.filter(light => light.enabled).slice(0, MAX_LIGHTS);
+
+    var types = [], positions = [], directions = [];
+    var ambients = [], diffuses = [], speculars = [];
+    var cosCutoffs = [], exponents = [];
+
+    active.forEach(light => {
+        types.push(light.type);
+        positions.push(transformPoint(viewMatrix, light.position));
+        var axis = light.worldDirection();
+        var d = transformPoint(viewMatrix, vec4(axis[0], axis[1], axis[2], 0.0));
+        directions.push(vec3(d[0], d[1], d[2]));
+        ambients.push(light.ambient);
+        diffuses.push(scalev(light.intensity, light.diffuse));
+        speculars.push(scalev(light.intensity, light.specular));
+        cosCutoffs.push(Math.cos(radians(light.cutoff)));
+        exponents.push(light.exponent);
+    });
+
+    litShader.setUniform("numLights", active.length);
+    if (active.length === 0) {
+        return;
+    }
+    litShader.setUniform("lightType", types);
+    litShader.setUniform("lightPosition", flatten(positions));
+    litShader.setUniform("lightDirection", flatten(directions));
+    litShader.setUniform("lightAmbient", flatten(ambients));
+    litShader.setUniform("lightDiffuse", flatten(diffuses));
+    litShader.setUniform("lightSpecular", flatten(speculars));
+    litShader.setUniform("spotCosCutoff", flatten(cosCutoffs));
+    litShader.setUniform("spotExponent", flatten(exponents));
+}
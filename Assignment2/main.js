@@ -7,6 +7,7 @@
 var canvas;         // The HTML canvas element where rendering occurs.
 var gl;             // The WebGL rendering context.
 var program;        // The shader program used for rendering.
+var litShader;      // ShaderProgram wrapper around `program` (program.js).
 
 // --- Projection Parameters (Orthographic Projection) ---
 // Define the viewing volume for our scene.
@@ -18,30 +19,49 @@ var ytop   = 6.0;   // Top boundary.
 var bottom = -6.0;  // Bottom boundary.
 
 // --- Lighting Parameters ---
-var lightPosition2 = vec4(100.0, 100.0, 100.0, 1.0);
-var lightPosition  = vec4(0.0, 0.0, 100.0, 1.0);  // Main light position.
-var lightAmbient   = vec4(0.2, 0.2, 0.2, 1.0);
-var lightDiffuse   = vec4(1.0, 1.0, 1.0, 1.0);
-var lightSpecular  = vec4(1.0, 1.0, 1.0, 1.0);
+// World-space stage rig, assembled into the `lights` array by initLights() (lights.js).
+var lightPosition2 = vec4(100.0, 100.0, 100.0, 1.0);  // Fill light direction (upper right).
+var lightPosition  = vec4(20.0, 60.0, 80.0, 1.0);  // Main (key) light position, high enough to cast floor shadows.
+var lightAmbient   = vec4(0.12, 0.12, 0.15, 1.0);  // Kept low so the follow-spot stands out.
+var lightDiffuse   = vec4(0.45, 0.45, 0.45, 1.0);
+var lightSpecular  = vec4(0.6, 0.6, 0.6, 1.0);
+
+var fillLightDiffuse  = vec4(0.35, 0.35, 0.4, 1.0);  // Soft, slightly cool fill.
+var fillLightSpecular = vec4(0.2, 0.2, 0.2, 1.0);
+
+var rimLightPosition  = vec4(-60.0, 40.0, -100.0, 1.0);  // Behind the Ballerina.
+var rimLightDiffuse   = vec4(0.6, 0.3, 0.8, 1.0);  // Lavender rim.
+var rimLightSpecular  = vec4(0.8, 0.5, 1.0, 1.0);
+
+var spotLightPosition = vec4(0.0, 30.0, 15.0, 1.0);  // Above the stage, towards the audience.
+var spotLightDiffuse  = vec4(1.0, 0.95, 0.85, 1.0);  // Warm white follow-spot.
+var spotLightSpecular = vec4(1.0, 1.0, 1.0, 1.0);
 
 // --- Material Properties ---
+// Defaults for plain setColor(c) calls; named materials live in materials.js.
 var materialAmbient   = vec4(1.0, 0.0, 1.0, 1.0);
 var materialDiffuse   = vec4(1.0, 0.8, 0.0, 1.0);
 var materialSpecular  = vec4(0.4, 0.4, 0.4, 1.0);
 var materialShininess = 30.0;
 
-// Placeholders for computed lighting colors.
-var ambientColor, diffuseColor, specularColor;
-var ambientProduct, diffuseProduct, specularProduct;
-
 // --- Transformation Matrices and Uniform Locations ---
-var modelMatrix, viewMatrix, modelViewMatrix, projectionMatrix, normalMatrix;
-var modelViewMatrixLoc, projectionMatrixLoc, normalMatrixLoc;
+// viewMatrix and projectionMatrix are MV.js mat4s. The per-part matrices are
+// mat4f typed arrays (MV.js fast path) updated in place, so drawing a part
+// allocates nothing; use mat4fToMat4() where an MV.js mat4 is needed.
+var modelMatrix = mat4f(), modelViewMatrix = mat4f(), normalMatrix = mat4f();
+var viewMatrix, projectionMatrix;
+var viewMatrixF = mat4f();  // viewMatrix as a mat4f, refreshed by setAllMatrices()
 
 // --- Camera Parameters ---
-var eye; // Will be set during rendering.
+var eye; // Will be set during rendering (sceneCamera).
 var at = vec3(0.0, 1.0, 0.0);  // Focus point remains centered
 var up = vec3(0.0, 1.0, 0.0);
+var starEye = vec3(0.0, 0.0, 10.0);  // Fixed view for the starfield backdrop
+
+// --- Stage ---
+var stageFloorY    = -2.9;  // Floor height, just under the pointe shoes.
+var stageFloorSize = 14.0;  // Width and depth of the floor.
+var stageFloorMaterial = "stage-wood";  // Image-mapped; "stage-marble" is procedural.
 
 // --- Object Transformation States ---
 var sphereRotation   = [0, 0, 0];
@@ -53,60 +73,50 @@ var cylinderPosition = [1.1, 0, 0];
 var coneRotation     = [0, 0, 0];
 var conePosition     = [3, 0, 0];
 
-// --- Animation Timing & Matrix Stack ---
-var MS = [];         // Matrix stack for hierarchical modeling.
-var TIME = 0.0;      // Real-time accumulator.
-var dt = 0.0;        // Delta time between frames.
-var prevTime = 0.0;  // Timestamp of the previous frame.
-var resetTimerFlag = true;
-var animFlag = false;  // Animation toggle flag.
+// --- Matrix Stack ---
+// (Animation timing is sceneClock, in clock.js.)
+var MS = [];         // Matrix stack for hierarchical modeling (reused mat4f slots).
+var MSDepth = 0;     // Number of matrices currently pushed.
 var controller;        // (Optional)
 
 // ======================================================
 // Starfield Code: Star Class and Starfield Functions
 // ======================================================
 
+// Each star drifts diagonally up and right along its own lane (y - x stays
+// constant). When it passes the top or right edge (world coordinate 10) it
+// comes back in at the left or bottom edge (-6). Its position is a function
+// of scene time, so the stars follow pauses, seeks and slow motion.
 class Star {
     constructor() {
-        this.reset();
-    }
-    
-    // Reset the star's position to a random position across the canvas.
-    reset() {
-        // Random x between left (-6) and right (6)
-        this.x = -6 + Math.random() * 12;
-        // Random y between bottom (-6) and top (6)
-        this.y = -6 + Math.random() * 12;
+        // Random start between left/bottom (-6) and right/top (6)
+        var x = -6 + Math.random() * 12;
+        var y = -6 + Math.random() * 12;
+        this.lane = y - x;
+        this.entryX = -6 + Math.max(-this.lane, 0);  // Where the lane enters the square
+        this.span = 16 - Math.abs(this.lane);        // x distance from entry to exit
+        this.phase = x - this.entryX;
         // Set a uniform velocity (world units per second) with slight variation.
         this.velocity = 0.5 + Math.random() * 0.2;
-        // Set a random scale for the star between 0.05 and 0.15.
+        // Set a random scale for the star between 0.02 and 0.05.
         this.scale = 0.02 + Math.random() * (0.05 - 0.02);
+        this.update(0.0);
     }
-    
-    update(dt) {
-        // Move diagonally upward and right.
-        this.x += this.velocity * dt;
-        this.y += this.velocity * dt;
-        // If the star moves off the top or right edge (world coordinate 10), reset it.
-        if (this.x > 10 || this.y > 10) {
-            if (Math.random() < 0.5) {
-                this.x = -6;
-                this.y = -6 + Math.random() * 12;
-            } else {
-                this.x = -6 + Math.random() * 12;
-                this.y = -6;
-            }
-        }
+
+    // Position at scene time `time`.
+    update(time) {
+        var u = ((this.phase + this.velocity * time) % this.span + this.span) % this.span;
+        this.x = this.entryX + u;
+        this.y = this.x + this.lane;
     }
     
     draw() {
         gPush();
             // Set z to -7 so that stars remain in the background.
             gTranslate(this.x, this.y, -10);
-            setColor(vec4(0.9, 0.85, 0.75, 1.0));
             gScale(this.scale, this.scale, this.scale);
             // Draw as a sphere for a circular appearance.
-            drawSphere();
+            drawSphere(getMaterial("star"));
         gPop();
     }
 }
@@ -117,13 +127,13 @@ for (let i = 0; i < numStars; i++) {
     stars.push(new Star());
 }
 
-function updateStars(dt) {
-    stars.forEach(star => star.update(dt));
+function updateStars(time) {
+    stars.forEach(star => star.update(time));
 }
 
 function drawStars() {
     gPush();
-    gTranslate(eye[0], eye[1], eye[2]);  // Move stars with the camera
+    gTranslate(starEye[0], starEye[1], starEye[2]);  // Keep the stars in front of the backdrop view
     stars.forEach(star => star.draw());
     gPop();
 }
@@ -136,16 +146,10 @@ function drawStars() {
 // ======================================================
 // Function: setColor(c)
 // (Re-declared here for consistency.)
+// Plain colour with the default specular; prefer named materials.
 // ======================================================
 function setColor(c) {
-    ambientProduct  = mult(lightAmbient, c);
-    diffuseProduct  = mult(lightDiffuse, c);
-    specularProduct = mult(lightSpecular, materialSpecular);
-    gl.uniform4fv(gl.getUniformLocation(program, "ambientProduct"), flatten(ambientProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "diffuseProduct"), flatten(diffuseProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "specularProduct"), flatten(specularProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "lightPosition"), flatten(lightPosition));
-    gl.uniform1f(gl.getUniformLocation(program, "shininess"), materialShininess);
+    setMaterial(Material.fromColor(c));
 }
 
 // ======================================================
@@ -161,28 +165,32 @@ window.onload = function init() {
     gl.clearColor(1.0, 0.9, 0.95, 1.0); // Soft pastel pink
 
     gl.enable(gl.DEPTH_TEST);
-    program = initShaders(gl, "vertex-shader", "fragment-shader");
-    gl.useProgram(program);
+    litShader = new ShaderProgram(gl, "vertex-shader", "fragment-shader");
+    program = litShader.program;
+    litShader.use();
     setColor(materialDiffuse);
     Cube.init(program);
     Cylinder.init(20, program);
     Cone.init(20, program);
     Sphere.init(36, program);
-    modelViewMatrixLoc  = gl.getUniformLocation(program, "modelViewMatrix");
-    normalMatrixLoc     = gl.getUniformLocation(program, "normalMatrix");
-    projectionMatrixLoc = gl.getUniformLocation(program, "projectionMatrix");
-    gl.uniform4fv(gl.getUniformLocation(program, "ambientProduct"), flatten(ambientProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "diffuseProduct"), flatten(diffuseProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "specularProduct"), flatten(specularProduct));
-    gl.uniform4fv(gl.getUniformLocation(program, "lightPosition"), flatten(lightPosition));
-    gl.uniform1f(gl.getUniformLocation(program, "shininess"), materialShininess);
+    Plane.init(20, program);
+    initTextures();
+    initLights();
+    initShadows(lights[0]);  // The key light casts shadows
+    initPostProcessing();
+    initPostEffects();
+    initCausticsControls();
+    setShadingMode(shadingMode);
+    setSpecularModel(specularModel);
+    initShadingControls();
+    initCameraControls(sceneCamera, canvas, "cameraToggleButton");
+    initTimelineControls(ballerina.choreography.totalDuration, () => ballerina.choreography.currentName);
     document.getElementById("animToggleButton").onclick = function() {
-        if (animFlag) {
-            animFlag = false;
+        if (sceneClock.playing) {
+            sceneTimeline.pause();
+            showTimeline();
         } else {
-            animFlag = true;
-            resetTimerFlag = true;
-            window.requestAnimFrame(render);
+            sceneTimeline.play();
         }
     };
     render(0);
@@ -192,72 +200,120 @@ window.onload = function init() {
 // Function: setMV()
 // ======================================================
 function setMV() {
-    modelViewMatrix = mult(viewMatrix, modelMatrix);
-    gl.uniformMatrix4fv(modelViewMatrixLoc, false, flatten(modelViewMatrix));
-    normalMatrix = inverseTranspose(modelViewMatrix);
-    gl.uniformMatrix4fv(normalMatrixLoc, false, flatten(normalMatrix));
+    if (shadowPass) {
+        depthShader.setUniform("modelMatrix", modelMatrix);
+        return;
+    }
+    litShader.setUniform("modelMatrix", modelMatrix);
+    mat4fMultiply(modelViewMatrix, viewMatrixF, modelMatrix);
+    litShader.setUniform("modelViewMatrix", modelViewMatrix);
+    mat4fInverseTranspose(normalMatrix, modelViewMatrix);
+    litShader.setUniform("normalMatrix", normalMatrix);
 }
 
 // ======================================================
 // Function: setAllMatrices()
+// Call after changing viewMatrix or projectionMatrix.
 // ======================================================
 function setAllMatrices() {
-    gl.uniformMatrix4fv(projectionMatrixLoc, false, flatten(projectionMatrix));
+    mat4fFromMat4(viewMatrixF, viewMatrix);
+    litShader.setUniform("projectionMatrix", flatten(projectionMatrix));
     setMV();
 }
 
 // ======================================================
 // Shape Drawing Functions
+// The optional material is uploaded before drawing; without one the
+// current material stays in effect.
 // ======================================================
-function drawCube() {
+function drawMesh(mesh, material) {
+    if (material) setMaterial(material);
     setMV();
-    Cube.draw();
+    mesh.draw();
+    countDrawCall();
 }
 
-function drawSphere() {
-    setMV();
-    Sphere.draw();
+function drawCube(material) {
+    drawMesh(Cube, material);
 }
 
-function drawCylinder() {
-    setMV();
-    Cylinder.draw();
+function drawSphere(material) {
+    drawMesh(Sphere, material);
 }
 
-function drawCone() {
-    setMV();
-    Cone.draw();
+function drawCylinder(material) {
+    drawMesh(Cylinder, material);
+}
+
+function drawCone(material) {
+    drawMesh(Cone, material);
+}
+
+function drawPlane(material) {
+    drawMesh(Plane, material);
 }
 
 // ======================================================
 // Transformation Helper Functions
 // ======================================================
 function gTranslate(x, y, z) {
-    modelMatrix = mult(modelMatrix, translate([x, y, z]));
+    mat4fTranslate(modelMatrix, modelMatrix, x, y, z);
 }
 
 function gRotate(theta, x, y, z) {
-    modelMatrix = mult(modelMatrix, rotate(theta, [x, y, z]));
+    mat4fRotate(modelMatrix, modelMatrix, theta, x, y, z);
+}
+
+// Rotate by a quaternion (MV.js), e.g. a pose blended with quatSlerp().
+var gRotateQuatScratch = mat4f();
+function gRotateQuat(q) {
+    mat4fMultiply(modelMatrix, modelMatrix, mat4fFromQuat(gRotateQuatScratch, q));
 }
 
 function gScale(sx, sy, sz) {
-    modelMatrix = mult(modelMatrix, scale(sx, sy, sz));
+    mat4fScale(modelMatrix, modelMatrix, sx, sy, sz);
 }
 
 // ======================================================
 // Matrix Stack Operations
+// Slots are allocated once and copied into, never replaced.
 // ======================================================
 function gPush() {
-    MS.push(modelMatrix);
+    if (MSDepth === MS.length) {
+        MS.push(mat4f());
+    }
+    MS[MSDepth++].set(modelMatrix);
 }
 
 function gPop() {
-    modelMatrix = MS.pop();
+    if (MSDepth === 0) {
+        throw "gPop(): matrix stack is empty";
+    }
+    modelMatrix.set(MS[--MSDepth]);
+}
+
+// Empty the stack and start again from the identity.
+function resetModelMatrix() {
+    MSDepth = 0;
+    mat4fIdentity(modelMatrix);
 }
 
+var ballerinaToe = vec4f(0.0, -0.3, 0.02, 1.0);  // Tip of the pointe shoe in the ankle's frame
+
 // ============================
 // Ballerina Class
 // ============================
+// The body is a SceneNode tree (scenegraph.js) hung off a Skeleton
+// (skeleton.js): each joint is a node at its pivot and the visible parts are
+// leaf nodes beneath it. update() sets joint angles, which the skeleton clamps
+// to their limits, and render() draws the tree. Planted feet and
+// placeFoot() / placeHand() solve limbs with two-bone IK (ik.js).
+//
+//   ballerina ── pelvis ─┬─ tutu
+//                        ├─ spine ─┬─ bodice
+//                        │         ├─ neck ── head ── face, back of head, bun, tiara
+//                        │         └─ shoulder ── elbow ── wrist   (_L and _R)
+//                        └─ hip ── knee ── ankle ── pointe shoe     (_L and _R)
 class Ballerina {
     constructor(position, scale = 1.0) {
         this.position = position; // [x, y, z]
@@ -267,54 +323,74 @@ class Ballerina {
         this.rotationAngle = -35; // Rotation angle (in degrees) to face diagonally left
         this.rotationSpeed = 0;  // Prevents accidental spinning unless set explicitly
 
+        // Skeleton and parts are in body units; the root scales the whole figure
+        this.root = new SceneNode("ballerina", { scale: vec3(scale, scale, scale) });
+        this.skeleton = new Skeleton(ballerinaSkeleton, this.root);
+        this.buildHead();
+        this.buildBody();
+        this.buildArms();
+        this.buildLegs();
+        this.spin = 0.0;                   // Turn added by the choreography (pirouettes)
+        this.offset = vec3(0.0, 0.0, 0.0); // Travel and rise from the choreography, in body units
+        this.plant = [0.0, 0.0];           // How firmly each foot is planted (left, right)
+        this.footAnchors = [null, null];   // { start, end, point } while each foot is planted
+        this.ik = createIKChains(this.skeleton, ballerinaIKChains);
+        this.choreography = defaultChoreography(this.skeleton);
+
+        // The routine plays as the base; breathing is layered on top of
+        // whatever is danced, e.g. this.mixer.crossFade(releveClip(this.skeleton), 0.5)
+        this.mixer = new AnimationMixer(this.skeleton);
+        this.mixer.play(this.choreography);
+        this.mixer.play(breathingClip(this.skeleton), { additive: true });
+        this.pose();
     }
 
-    drawHead() { 
-        /**Brunette with a low ballet bun and a tiara*/
+    // Look up a joint or part by name, e.g. ballerina.node("ankle_L").worldPosition()
+    node(name) {
+        return this.root.find(name);
+    }
 
-        /** Brunette with a low ballet bun and a tiara (Head) */
-        gPush();
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color
-        gTranslate(0, 1.3 * this.scale, 0.03);
-        gScale(0.35 * this.scale, 0.36 * this.scale, 0.35 * this.scale);
-        drawSphere();
-        gPop();
+    // Attach a visible part to a joint.
+    attach(jointName, name, options) {
+        return this.skeleton.joint(jointName).node.add(new SceneNode(name, options));
+    }
 
-       
+    buildHead() { 
+        /** Brunette with a low ballet bun and a tiara */
 
         /** Neck transitioning into shoulders */
-        gPush();
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color
-        gTranslate(0, 0.8 * this.scale, 0); // Position just below the head
-        gScale(0.5 * this.scale, 0.5 * this.scale, 0.3 * this.scale); // Adjust for visibility
-        gRotate(-90, 1, 0, 0); // Align vertically
-        drawCone(); // Draws the neck (slightly wider at the bottom)
-        gPop();
-
-        // back of head
-        gPush();
-        setColor(vec4(0.4, 0.2, 0.1, 1.0)); // Dark brown for hair
-        gTranslate(0, 1.3 * this.scale, 0);
-        gScale(0.35 * this.scale, 0.35 * this.scale, 0.35 * this.scale);
-        drawSphere();
-        gPop();
-        
-
-        // Draw the hair bun
-        gPush();
-        setColor(vec4(0.4, 0.2, 0.1, 1.0)); // Dark brown for hair
-        gTranslate(0.0, 1.6 * this.scale, -0.06 * this.scale);
-        gScale(0.3 * this.scale, 0.3 * this.scale, 0.3 * this.scale);
-        drawSphere();
-        gPop();
-
-        // Draw the tiara
-        gPush();
-        setColor(vec4(0.7, 0.5, 0.9, 1.0)); // Gold color
-        gTranslate(0.0, 1.5 * this.scale, 0.2 * this.scale);
-        gScale(0.25 * this.scale, 0.10 * this.scale, 0.04 * this.scale);
-        drawCube();
-        gPop();
+        this.attach("neck", "neck-shape", {
+            translation: vec3(0, 0.2, 0),
+            rotation:    quatFromAxisAngle(-90, [1, 0, 0]),  // Align vertically
+            scale:       vec3(0.5, 0.3, 0.5),
+            mesh:        Cone,                   // Slightly wider at the bottom
+            material:    "skin"
+        });
+
+        this.attach("head", "face", {
+            translation: vec3(0, 0.25, 0.03),
+            scale:       vec3(0.35, 0.36, 0.35),
+            mesh:        Sphere,
+            material:    "skin"
+        });
+        this.attach("head", "back-of-head", {
+            translation: vec3(0, 0.25, 0),
+            scale:       vec3(0.35, 0.35, 0.35),
+            mesh:        Sphere,
+            material:    "hair"
+        });
+        this.attach("head", "bun", {
+            translation: vec3(0.0, 0.55, -0.06),
+            scale:       vec3(0.3, 0.3, 0.3),
+            mesh:        Sphere,
+            material:    "hair"
+        });
+        this.attach("head", "tiara", {
+            translation: vec3(0.0, 0.45, 0.2),
+            scale:       vec3(0.25, 0.10, 0.04),
+            mesh:        Cube,
+            material:    "tiara-gold"
+        });
 
     //       /** 🌟 Eyes */
     // let eyeOffsetX = 0.10 * this.scale; // Distance from center
@@ -348,142 +424,200 @@ class Ballerina {
 
     }
 
-    drawBody() {
-        gPush();
-        setColor(vec4(0.7, 0.5, 0.9, 1.0)); // Upper torso
-        gTranslate(0, 0.1 * this.scale, 0); // Moves body up
-        gRotate(90, 1, 0, 0); // Align vertically
-        gScale(0.5 * this.scale, 0.4 * this.scale, 1 * this.scale);
-        drawCone(); // Draw upper torso
-        gPop();
-    
-        gPush();
-        setColor(vec4(0.7, 0.5, 0.9, 1.0)); // Lower torso/tutu
-        gTranslate(0.05, -0.45 * this.scale, 0); // Moves lower body up slightly
-        gRotate(-90, 1, 0, 0); // Align vertically
-        gScale(1.75 * this.scale, 1.75 * this.scale, 1 * this.scale);
-        drawCone(); // Draw lower torso/tutu
-        gPop();
+    buildBody() {
+        this.attach("spine", "bodice", {            // Upper torso, narrowing to the waist
+            translation: vec3(0, 0.5, 0),
+            rotation:    quatFromAxisAngle(90, [1, 0, 0]),  // Align vertically
+            scale:       vec3(0.5, 0.4, 1),
+            mesh:        Cone,
+            material:    "satin"
+        });
+        this.attach("pelvis", "tutu", {
+            translation: vec3(0.05, 0.5, 0),
+            rotation:    quatFromAxisAngle(-90, [1, 0, 0]),  // Align vertically
+            scale:       vec3(1.75, 1.75, 1),
+            mesh:        Cone,
+            material:    "tutu-satin"
+        });
     }
-    
 
-    drawArms() {
-        const armLength = 0.6 * this.scale;
-        const armOffset = 0.8 * this.scale;
+    buildArms() {
+        for (let side of ["_L", "_R"]) {
+            this.attach("shoulder" + side, "upper-arm" + side, {
+                translation: vec3(0, -0.2, 0),
+                scale:       vec3(0.07, 0.4, 0.08),
+                mesh:        Cube,
+                material:    "skin"
+            });
+            this.attach("elbow" + side, "forearm" + side, {
+                translation: vec3(0, -0.18, 0),
+                scale:       vec3(0.06, 0.36, 0.07),
+                mesh:        Cube,
+                material:    "skin"
+            });
+            this.attach("wrist" + side, "hand" + side, {
+                translation: vec3(0, -0.07, 0),
+                scale:       vec3(0.06, 0.14, 0.04),
+                mesh:        Sphere,
+                material:    "skin"
+            });
+        }
+    }
 
-        // Left arm
-        gPush();
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color
-        gTranslate(-armOffset, 0.2 * this.scale, 0);
-        gRotate(-45, 0, 0, 1); // Rotate arm to 45 degrees
-        gRotate(12 * Math.sin(this.time * 2), 1, 0, 0); // Animate arm swing
-        gScale(0.06 * this.scale, armLength, 0.13 * this.scale);
-        drawCube();
-        gPop();
+    buildLegs() {
+        for (let side of ["_L", "_R"]) {
+            this.attach("hip" + side, "thigh" + side, {
+                translation: vec3(0, -0.35, 0),
+                scale:       vec3(0.15, 0.7, 0.14),
+                mesh:        Cube,
+                material:    "skin"
+            });
+            this.attach("knee" + side, "shin" + side, {
+                translation: vec3(0, -0.35, 0),
+                scale:       vec3(0.12, 0.7, 0.11),
+                mesh:        Cube,
+                material:    "skin"
+            });
+            this.attach("ankle" + side, "boot" + side, {   // En pointe: the shoe continues the shin
+                translation: vec3(0, -0.15, 0.02),
+                scale:       vec3(0.13, 0.3, 0.15),
+                mesh:        Cube,
+                material:    "pointe-satin"
+            });
+        }
+    }
 
-        // Right arm
-        gPush();
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color;
-        gTranslate(armOffset, 0.2 * this.scale, 0);
-        gRotate(45, 0, 0, 1); // Rotate arm to -45 degrees
-        gRotate(-12 * Math.sin(this.time * 2), 1, 0, 0); // Animate arm swing
-        gScale(0.06 * this.scale, armLength, 0.13 * this.scale);
-        drawCube();
-        gPop();
+    // Where the choreography has carried her: `position` plus the clip's
+    // offset, turned to her facing and scaled to world units.
+    stagePosition() {
+        var angle = radians(this.rotationAngle);
+        var c = Math.cos(angle), s = Math.sin(angle);
+        var x = this.offset[0] * this.scale, y = this.offset[1] * this.scale, z = this.offset[2] * this.scale;
+        return vec3(this.position[0] + c * x + s * z,
+                    this.position[1] + y,
+                    this.position[2] - s * x + c * z);
     }
 
-    drawLegs() {
-        const legLength = 0.5 * this.scale; // Length of each segment (thigh, shin)
-        const hipBend = -10 * Math.sin(this.time * 2); // Hip animation
-        const hipBendL = -10 * Math.sin(this.time * 2); // Hip animation
-        const kneeBendL = -3*Math.max(10, 25 * Math.sin(this.time * 2)); // Knee bends only inward
-        const kneeBendR = -3*Math.max(10, 25 * Math.cos(this.time * 2)); // Knee bends only inward
-        // ================================
-        // Left Leg (hierarchical structure)
-        // ================================
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color
-        gPush(); // Start drawing the left leg (hip)
-        gTranslate(-0.25 * this.scale, -1.4 * this.scale, -0.1); // Position of the left thigh
-        gRotate(0, -10, 0, 1); // Rotate leg to 45 degrees
-        gRotate( hipBendL-1, -1, 0, 0); // Animate the hip
-        gScale(0.15 * this.scale, legLength, 0.12 * this.scale); // Thigh dimensions
-        drawCube(); // Draw the thigh
-    
-        // Shin (relative to the thigh)
-        gPush();
-        gTranslate(0, -legLength-1, -0.1); // Move to the bottom of the thigh
-        gRotate(0, -15, 0, 1); // Rotate leg to 45 degrees
-        gRotate(-kneeBendL, 1, 0, 0); // Animate the knee
-        gScale(1, 1.3, 0.75) // Adjust the shin proportions
-        drawCube(); // Draw the shin
-    
-        // Boot (relative to the shin)
-        gPush();
-        setColor(vec4(1.0, 0.71, 0.76, 1.0)); // Soft ballet pink
-        gTranslate(0, -legLength-0.5, 0.06 * this.scale+1); // Move to the bottom of the shin
-        gScale(1, 0.2, 0.5); // Boot proportions 
-        drawCube(); // Draw the boot
-        gPop(); // End boot transformation
-    
-        gPop(); // End shin transformation
-        gPop(); // End left leg (hip transformation)
-    
-        // ================================
-        // Right Leg (hierarchical structure)
-        // ================================
-        setColor(vec4(1.0, 0.8, 0.6, 1.0)); // Skin color
-        gPush(); // Start drawing the right leg (hip)
-        gTranslate(0.2 * this.scale, -1.4 * this.scale, -0.2); // Position of the right thigh
-        gRotate( -1, -10, 0, 0); // Animate the hip
-        gRotate( -hipBend, 1, 0, 0); // Animate the hip
-        gScale(0.15 * this.scale, legLength, 0.12 * this.scale); // Thigh dimensions
-        drawCube(); // Draw the thigh
-    
-        // Shin (relative to the thigh)
-        gPush();
-        gTranslate(0, -legLength-1, -0.1); // Move to the bottom of the thigh
-        gRotate(0, 15, 0, 1); // Rotate shin to 45 degrees
-        gRotate(-kneeBendR, 1, 0, 0); // Animate the knee
-        gScale(1, 1.3, 0.75); // Adjust the shin proportions
-        drawCube(); // Draw the shin
-    
-        // Boot (relative to the shin)
-        gPush();
-        setColor(vec4(1.0, 0.71, 0.76, 1.0)); // Soft ballet pink
-        gTranslate(0, -legLength-0.5, 0.06 * this.scale+1); // Move to the bottom of the shin
-        gScale(1, 0.2, 0.5); // Boot proportions
-        drawCube(); // Draw the boot
-        gPop(); // End boot transformation
-    
-        gPop(); // End shin transformation
-        gPop(); // End right leg (hip transformation)
+    // Set the root transform and every joint angle from the current time.
+    // Runs in update(), so the mixed pose is in place before render().
+    pose() {
+        this.poseBody(this.mixer.evaluate(this.time));
+        this.plantFeet();
     }
-    
-    
 
-    update(dt) {
-        this.time += dt;
-    
-        // 🌟 Pirouette: Continuous spinning rotation
-        this.rotationAngle += 360 * dt * 0; // Adjust speed by changing 0.5
+    // Joint angles and root transform from a mixed BodyPose, feet not planted.
+    poseBody(bodyPose) {
+        bodyPose.applyTo(this);
+        this.skeleton.apply();
+
+        this.root.setTranslation(this.stagePosition());
+        this.root.setAxisAngle(this.rotationAngle + this.spin, [0, 1, 0]); // 🌟 Apply spinning animation
+    }
+
+    // Tip of a pointe shoe in world space (after root.updateWorldMatrix())
+    toePosition(side) {
+        var toe = mat4fTransformVec4(vec4f(), this.node("ankle" + side).worldMatrix, ballerinaToe);
+        return vec3(toe[0], toe[1], toe[2]);
+    }
+
+    // Solve the leg so the tip of the pointe shoe lands on `point` (world
+    // space), knee towards the optional `pole` point. The solver places the
+    // ankle and the shoe turns with the shin, so repeat until the tip settles.
+    placeFoot(side, point, pole) {
+        for (var pass = 0; pass < 8; pass++) {
+            this.root.updateWorldMatrix();
+            var toe = this.toePosition(side);
+            if (pass > 0 && length(subtract(toe, point)) < 1e-3) break;
+            var foot = subtract(toe, this.node("ankle" + side).worldPosition());
+            this.ik["leg" + side].solve(subtract(point, foot), pole);
+        }
+        this.root.updateWorldMatrix();
+    }
+
+    // Solve the arm so the wrist reaches `point` (world space).
+    placeHand(side, point, pole) {
+        this.root.updateWorldMatrix();
+        this.ik["arm" + side].solve(point, pole);
+        this.root.updateWorldMatrix();
+    }
+
+    // Keep planted feet where they touched down, so they do not slide as the
+    // body sinks into a plié or rises onto pointe. The anchor comes from the
+    // clips alone (see findFootAnchor()), so seeking or scrubbing puts the
+    // feet where playing through would have.
+    plantFeet() {
+        var plant = this.plant.slice();  // findFootAnchor() poses other times
+        var moved = false;
+        for (var i = 0; i < 2; i++) {
+            var anchor = this.footAnchors[i];
+            if (plant[i] <= 0.0) {
+                this.footAnchors[i] = null;
+            } else if (!anchor || this.time < anchor.start || this.time >= anchor.end) {
+                this.footAnchors[i] = this.findFootAnchor(i);
+                moved = true;
+            }
+        }
+        if (moved) this.poseBody(this.mixer.evaluate(this.time));
+
+        ["_L", "_R"].forEach((side, i) => {
+            if (!this.footAnchors[i]) return;
+            this.root.updateWorldMatrix();
+            var toe = this.toePosition(side);
+            this.placeFoot(side, mix(this.footAnchors[i].point, toe, plant[i]));
+        });
+    }
+
+    // Anchor for foot i (0 left, 1 right), planted at the current time: the
+    // stretch of time its plant weight stays above zero, and where its toe
+    // was when the weight started rising. Looks no further back than the
+    // start of the scene, nor more than `horizon` seconds ahead. Leaves the
+    // body posed at the touch-down time.
+    findFootAnchor(i, step = 1.0 / 30.0, horizon = 10.0) {
+        var planted = t => this.mixer.sample(t).plant[i] > 0.0;
+        // Narrow the gap between an unplanted and a planted time to 1 ms
+        var edge = (off, on) => {
+            while (Math.abs(on - off) > 1e-3) {
+                var middle = 0.5 * (off + on);
+                if (planted(middle)) on = middle; else off = middle;
+            }
+            return { off: off, on: on };
+        };
+
+        var start = this.time, on = this.time;
+        while (start > 0.0 && planted(start)) {
+            on = start;
+            start = Math.max(start - step, 0.0);
+        }
+        if (!planted(start)) start = edge(start, on).on;
+
+        var end = this.time;
+        on = this.time;
+        while (end < this.time + horizon && planted(end)) {
+            on = end;
+            end += step;
+        }
+        if (!planted(end)) end = edge(end, on).off;
+
+        this.poseBody(this.mixer.sample(start));
+        this.root.updateWorldMatrix();
+        return { start: start, end: end, point: this.toePosition(i === 0 ? "_L" : "_R") };
+    }
+
+    // Pose for scene time `time` (seconds).
+    update(time) {
+        this.time = time;
     
         // Oscillate in diagonal x and y directions (adds slight movement)
         // this.position[0] = this.basePosition[0] + Math.sin(this.time) * 0.5; // X-axis oscillation
         // this.position[1] = this.basePosition[1] + Math.sin(this.time * 2) * 0.3; // Y-axis oscillation
+
+        this.pose();
     }
     
 
     render() {
-        gPush();
-        gTranslate(this.position[0], this.position[1], this.position[2]); // Apply position
-    
-        gRotate(this.rotationAngle, 0, 1, 0); // 🌟 Apply spinning animation
-    
-        this.drawHead();
-        this.drawBody();
-        this.drawArms();
-        this.drawLegs();
-        gPop();
+        this.root.updateWorldMatrix();
+        this.root.render();
     }    
     
 }
@@ -491,16 +625,30 @@ class Ballerina {
 // ============================
 // 360-degree camera fly around
 // ============================
-var cameraAngle = 0;  // Tracks the orbit position
-
-function updateCamera(dt) {
-    cameraAngle += dt * 0.5;  // Adjust speed of rotation
-    var radius = 20.0;  // Distance from the ballerina
-    eye = vec3(
-        Math.sin(cameraAngle) * radius, 
-        3,  
-        Math.cos(cameraAngle) * radius
-    );
+// Orbit controller (camera.js): flies around on its own until the mouse
+// takes over. Starts 20 units out and 3 up, looking at `at`.
+var sceneCamera = new OrbitCamera(at, {
+    radius:    Math.sqrt(20.0 * 20.0 + 2.0 * 2.0),
+    elevation: Math.atan2(2.0, 20.0),
+    autoSpeed: 0.5  // Radians per second
+});
+
+function updateCamera(time, timestamp) {
+    sceneCamera.update(time, timestamp);
+    eye = sceneCamera.eye();
+}
+
+
+
+// ============================
+// Stage floor
+// ============================
+function drawStage() {
+    gPush();
+    gTranslate(0, stageFloorY, 0);
+    gScale(stageFloorSize, 1.0, stageFloorSize);
+    drawPlane(getMaterial(stageFloorMaterial));
+    gPop();
 }
 
 
@@ -513,48 +661,99 @@ var ballerina = new Ballerina([0, 0, 0], 1.0);
 
 
 
+// ======================================================
+// Frame Scheduling
+// ======================================================
+// Ask for one call to render() on the next frame. Every frame request goes
+// through here, so however play, pause and redraws interleave there is never
+// more than one render loop.
+var frameRequested = false;
+function requestRender() {
+    if (frameRequested) return;
+    frameRequested = true;
+    window.requestAnimFrame(function(timestamp) {
+        frameRequested = false;
+        render(timestamp);
+    });
+}
+
+// Redraw once so a change is visible while the animation is paused. Calls
+// before that frame (e.g. while scrubbing) share it.
+function redrawIfPaused() {
+    if (!sceneClock.playing) {
+        requestRender();
+    }
+}
+
 // ======================================================
 // Render Function
 // ======================================================
 function render(timestamp) {
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-    eye = vec3(0, 0, 10);
-    MS = [];
-    modelMatrix = mat4();
-    viewMatrix = lookAt(eye, at, up);
+    resetRenderStats();
+    sceneClock.tick(timestamp);
+    sceneTimeline.update();  // Wrap at the loop out marker, or stop at the end
+    var time = sceneClock.time;
+
+    // ============================
+    // Animate ballerina and follow-spot
+    // ============================
+    ballerina.update(time);
+    updateSpotlight(time, ballerina.stagePosition());  // Follow-spot tracks the Ballerina
+
+    // ============================
+    // Shadow map (depth from the key light)
+    // ============================
+    renderShadowMap(function() {
+        ballerina.render();
+    });
+
+    // ============================
+    // Scene into the offscreen target for post-processing (postprocess.js)
+    // ============================
+    beginScenePass();
+    resetModelMatrix();
+    viewMatrix = lookAt(starEye, at, up);
     projectionMatrix = ortho(left, right, bottom, ytop, near, far);
     setAllMatrices();
-    if (animFlag) {
-        dt = (timestamp - prevTime) / 1000.0;
-        prevTime = timestamp;
-    }
-    
+    uploadLights();
+    uploadShadowUniforms(false);  // Stars are outside the shadowed stage
+    uploadCaustics(false);        // ... and above the water
+    litShader.setUniform("sceneTime", time);  // Drives animated procedural patterns
+
     // ============================
     // Draw the Starfield (Background)
     // ============================
-    updateStars(dt);
+    updateStars(time);
     drawStars();
 
-
     // ============================
     // 360-degree camera fly around
     // ============================
-    updateCamera(dt);  // Update camera position
-    viewMatrix = lookAt(eye, at, up);
-    projectionMatrix = ortho(left, right, bottom, ytop, near, far);
+    updateCamera(time, timestamp);  // Update camera position
+    resetModelMatrix();
+    viewMatrix = lookAt(eye, sceneCamera.target, up);
+    var zoom = sceneCamera.viewScale();
+    projectionMatrix = ortho(left * zoom, right * zoom, bottom * zoom, ytop * zoom, near, far);
     setAllMatrices();
-    
-  // ============================
-    // Draw ballerina
+    uploadLights();
+    uploadShadowUniforms();
+    uploadCaustics();
+
+    // ============================
+    // Draw stage floor and ballerina
     // ============================
-    ballerina.update(dt);
+    drawStage();
     ballerina.render();
 
+    // ============================
+    // Post-processing: effect stack onto the canvas (effects.js)
+    // ============================
+    applyPostEffects();
 
-
-
+    showRenderStats();
+    showTimeline();
 
     // ============================
-    if (animFlag)
-        window.requestAnimFrame(render);
+    if (sceneClock.playing || sceneCamera.isMoving())
+        requestRender();  // Keep playing, or let the camera glide to a stop
 }
@@ -0,0 +1,146 @@
+// materials.js - Material objects and the named material library
+
+// ======================================================
+// Material Class
+// ======================================================
+// Reflectance is combined with each light's colours in the shader.
+// `emissive` is added on top of the lighting so an object can glow on its own;
+// `texture` optionally names an image texture (textures.js) to modulate the
+// ambient and diffuse colour, repeated `textureScale` times across the surface;
+// `procedural` optionally adds a ProceduralPattern (procedural.js) on top;
+// `glow` marks the object as a light source for the bloom pass (bloom.js).
+class Material {
+    constructor(options) {
+        this.ambient   = options.ambient   || options.diffuse || vec4(0.2, 0.2, 0.2, 1.0);
+        this.diffuse   = options.diffuse   || vec4(0.8, 0.8, 0.8, 1.0);
+        this.specular  = options.specular  || vec4(0.4, 0.4, 0.4, 1.0);
+        this.shininess = options.shininess !== undefined ? options.shininess : 30.0;
+        this.emissive  = options.emissive  || vec4(0.0, 0.0, 0.0, 1.0);
+        this.texture   = options.texture   || null;
+        this.textureScale = options.textureScale || vec2(1.0, 1.0);
+        this.procedural = options.procedural || null;
+        this.glow      = options.glow || false;
+    }
+
+    // A plain coloured material, matching the old setColor(c) behaviour.
+    static fromColor(c) {
+        return new Material({
+            ambient:   c,
+            diffuse:   c,
+            specular:  materialSpecular,
+            shininess: materialShininess
+        });
+    }
+}
+
+// ======================================================
+// Material Library
+// ======================================================
+const materialLibrary = {
+    "skin": new Material({
+        ambient:   vec4(1.0, 0.8, 0.6, 1.0),
+        diffuse:   vec4(1.0, 0.8, 0.6, 1.0),
+        specular:  vec4(0.1, 0.08, 0.06, 1.0),   // Matte
+        shininess: 8.0
+    }),
+    "hair": new Material({
+        ambient:   vec4(0.4, 0.2, 0.1, 1.0),
+        diffuse:   vec4(0.4, 0.2, 0.1, 1.0),
+        specular:  vec4(0.35, 0.3, 0.25, 1.0),  // Soft sheen on the bun
+        shininess: 40.0
+    }),
+    "satin": new Material({
+        ambient:   vec4(0.7, 0.5, 0.9, 1.0),
+        diffuse:   vec4(0.7, 0.5, 0.9, 1.0),
+        specular:  vec4(0.6, 0.55, 0.65, 1.0),
+        shininess: 60.0
+    }),
+    "tutu-satin": new Material({
+        ambient:   vec4(1.0, 1.0, 1.0, 1.0),    // Colour comes from the satin image
+        diffuse:   vec4(1.0, 1.0, 1.0, 1.0),
+        specular:  vec4(0.6, 0.55, 0.65, 1.0),
+        shininess: 60.0,
+        texture:   "satin",
+        textureScale: vec2(4.0, 2.0)
+    }),
+    "pointe-satin": new Material({
+        ambient:   vec4(1.0, 0.71, 0.76, 1.0),
+        diffuse:   vec4(1.0, 0.71, 0.76, 1.0),  // Soft ballet pink
+        specular:  vec4(0.6, 0.5, 0.5, 1.0),
+        shininess: 60.0
+    }),
+    "tiara-gold": new Material({
+        ambient:   vec4(0.25, 0.2, 0.07, 1.0),
+        diffuse:   vec4(0.75, 0.6, 0.23, 1.0),
+        specular:  vec4(1.0, 0.9, 0.6, 1.0),    // Glossy metal
+        shininess: 120.0,
+        glow:      true,
+        procedural: new ProceduralPattern({
+            pattern: PATTERN_GLITTER,
+            colorA:  vec4(1.0, 1.0, 1.0, 1.0),
+            colorB:  vec4(1.0, 0.95, 0.8, 1.0),  // Sparkle colour
+            scale:   6.0,
+            param:   0.35
+        })
+    }),
+    "star": new Material({
+        ambient:   vec4(0.9, 0.85, 0.75, 1.0),
+        diffuse:   vec4(0.9, 0.85, 0.75, 1.0),
+        specular:  vec4(0.0, 0.0, 0.0, 1.0),
+        emissive:  vec4(0.3, 0.28, 0.22, 1.0),
+        glow:      true
+    }),
+    "stage-wood": new Material({
+        ambient:   vec4(1.0, 1.0, 1.0, 1.0),    // Colour comes from the wood image
+        diffuse:   vec4(1.0, 1.0, 1.0, 1.0),
+        specular:  vec4(0.25, 0.2, 0.15, 1.0),
+        shininess: 20.0,
+        texture:   "wood",
+        textureScale: vec2(4.0, 4.0)
+    }),
+    "stage-marble": new Material({
+        ambient:   vec4(1.0, 1.0, 1.0, 1.0),    // Colour comes from the marble pattern
+        diffuse:   vec4(1.0, 1.0, 1.0, 1.0),
+        specular:  vec4(0.6, 0.6, 0.6, 1.0),    // Polished stone
+        shininess: 80.0,
+        procedural: new ProceduralPattern({
+            pattern: PATTERN_MARBLE,
+            colorA:  vec4(0.93, 0.9, 0.92, 1.0),
+            colorB:  vec4(0.45, 0.38, 0.5, 1.0),  // Lavender-grey veins
+            scale:   3.0,
+            param:   4.0
+        })
+    })
+};
+
+// ======================================================
+// Function: getMaterial(name)
+// ======================================================
+function getMaterial(name) {
+    var material = materialLibrary[name];
+    if (!material) {
+        throw "getMaterial(): unknown material " + name;
+    }
+    return material;
+}
+
+// ======================================================
+// Function: setMaterial(material)
+// Upload a material's reflectance to the lit shader.
+// ======================================================
+function setMaterial(material) {
+    if (shadowPass) return;  // Depth-only pass has no material uniforms
+    litShader.setUniform("materialAmbient", material.ambient);
+    litShader.setUniform("materialDiffuse", material.diffuse);
+    litShader.setUniform("materialSpecular", material.specular);
+    litShader.setUniform("materialEmissive", material.emissive);
+    litShader.setUniform("shininess", material.shininess);
+    litShader.setUniform("materialGlow", material.glow ? 1 : 0);
+
+    if (material.texture) {
+        textureManager.bind(material.texture, DIFFUSE_MAP_UNIT, litShader, "diffuseMap");
+        litShader.setUniform("texCoordScale", material.textureScale);
+    }
+    litShader.setUniform("useDiffuseMap", material.texture ? 1 : 0);
+    setProceduralPattern(material.procedural);
+}
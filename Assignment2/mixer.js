@@ -0,0 +1,126 @@
+// mixer.js - Weighted clip blending, timed crossfades and additive layers
+
+// ======================================================
+// MixerAction Class
+// ======================================================
+// One source playing in an AnimationMixer. A source is anything with
+// sample(time) returning a BodyPose: a PoseClip or a ChoreographySequencer.
+// Times are on the mixer's timeline, so an action can be evaluated at any
+// time without stepping through the ones before it.
+class MixerAction {
+    constructor(source, start, options = {}) {
+        this.source = source;
+        this.start = start;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : 1.0;
+        this.additive = options.additive || false;
+        this.weight = options.weight !== undefined ? options.weight : 1.0;
+        this.fade = null;           // { from, to, start, duration }
+        this.stopping = false;      // Removed once faded out
+    }
+
+    localTime(time) {
+        return (time - this.start) * this.timeScale;
+    }
+
+    // Fade the weight from its current value to `weight` over `duration` seconds.
+    fadeTo(weight, time, duration) {
+        var from = this.weightAt(time);
+        if (duration <= 0.0) {
+            this.weight = weight;
+            this.fade = null;
+            return;
+        }
+        this.fade = { from: from, to: weight, start: time, duration: duration };
+        this.weight = weight;
+    }
+
+    weightAt(time) {
+        if (!this.fade) return this.weight;
+        var t = Math.min(Math.max((time - this.fade.start) / this.fade.duration, 0.0), 1.0);
+        return this.fade.from + (this.fade.to - this.fade.from) * Easing.easeInOutSine(t);
+    }
+
+    isFadedOut(time) {
+        return this.stopping && (!this.fade || time >= this.fade.start + this.fade.duration);
+    }
+}
+
+// ======================================================
+// AnimationMixer Class
+// ======================================================
+// Blends every playing action into one BodyPose per frame:
+//   - Base actions are averaged by weight. While their weights add up to
+//     less than 1 the rest pose makes up the difference, so a lone action
+//     fading in starts from rest rather than snapping.
+//   - Additive actions are applied on top: each adds its difference from
+//     the rest pose, scaled by its weight (breathing on top of any dance).
+class AnimationMixer {
+    constructor(skeleton) {
+        this.actions = [];
+        this.time = 0.0;
+        this.result = new BodyPose(skeleton);
+    }
+
+    // Start `source` now; `fadeIn` seconds ramps its weight up from 0.
+    play(source, options = {}) {
+        var action = new MixerAction(source, this.time, options);
+        if (options.fadeIn > 0.0) {
+            var weight = action.weight;
+            action.weight = 0.0;
+            action.fadeTo(weight, this.time, options.fadeIn);
+        }
+        this.actions.push(action);
+        return action;
+    }
+
+    // Fade an action out (immediately by default) and drop it.
+    stop(action, fadeOut = 0.0) {
+        action.stopping = true;
+        action.fadeTo(0.0, this.time, fadeOut);
+    }
+
+    setWeight(action, weight, duration = 0.0) {
+        action.fadeTo(weight, this.time, duration);
+    }
+
+    // Fade out every base action while `source` fades in over `duration`.
+    crossFade(source, duration, options = {}) {
+        this.actions.forEach(action => {
+            if (!action.additive && !action.stopping) this.stop(action, duration);
+        });
+        return this.play(source, Object.assign({}, options, { fadeIn: duration }));
+    }
+
+    // Blended pose at mixer time `time`.
+    evaluate(time) {
+        this.time = time;
+        this.actions = this.actions.filter(action => !action.isFadedOut(time));
+        return this.sample(time);
+    }
+
+    // The same blend without moving the mixer to `time` or dropping faded
+    // actions, for looking back or ahead from the current frame.
+    sample(time) {
+        var result = this.result;
+        var base = this.actions.filter(action => !action.additive);
+        var total = base.reduce((sum, action) => sum + action.weightAt(time), 0.0);
+
+        // Running weighted average, seeded with the rest pose's share
+        result.reset();
+        var accumulated = Math.max(1.0 - total, 0.0);
+        base.forEach(action => {
+            var weight = action.weightAt(time);
+            if (weight <= 0.0) return;
+            accumulated += weight;
+            BodyPose.blend(result, result, action.source.sample(action.localTime(time)), weight / accumulated);
+        });
+
+        this.actions.forEach(action => {
+            var weight = action.weightAt(time);
+            if (action.additive && weight > 0.0) {
+                BodyPose.add(result, action.source.sample(action.localTime(time)), weight);
+            }
+        });
+        return result;
+    }
+}
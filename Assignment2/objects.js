@@ -5,6 +5,11 @@ function setAttribPointers(obj) {
     gl.bindBuffer( gl.ARRAY_BUFFER, obj.vBuffer );
     gl.vertexAttribPointer(obj.vPosition, 4, gl.FLOAT, false, 0, 0);
     
+    if( obj.vTexCoord >= 0 ) {
+        gl.bindBuffer( gl.ARRAY_BUFFER, obj.tBuffer );
+        gl.vertexAttribPointer(obj.vTexCoord, 2, gl.FLOAT, false, 0, 0);
+    }
+    
 }
 
 
@@ -26,6 +31,17 @@ function setBuffers(obj, program)
     gl.vertexAttribPointer(obj.vPosition, 4, gl.FLOAT, false, 0, 0);
     gl.enableVertexAttribArray(obj.vPosition);
     
+    obj.tBuffer = gl.createBuffer();
+    gl.bindBuffer( gl.ARRAY_BUFFER, obj.tBuffer);
+    gl.bufferData( gl.ARRAY_BUFFER, flatten(obj.texCoordsArray), gl.STATIC_DRAW );
+    
+    // -1 if the shader does not read texture coordinates
+    obj.vTexCoord = gl.getAttribLocation( program, "vTexCoord" );
+    if( obj.vTexCoord >= 0 ) {
+        gl.vertexAttribPointer( obj.vTexCoord, 2, gl.FLOAT, false, 0, 0 );
+        gl.enableVertexAttribArray( obj.vTexCoord);
+    }
+    
 }
 
 var SphereSub = {} ;
@@ -35,6 +51,7 @@ SphereSub.index = 0;
 
 SphereSub.pointsArray = [];
 SphereSub.normalsArray = [];
+SphereSub.texCoordsArray = [];
 
 
     
@@ -51,11 +68,23 @@ SphereSub.triangle = function (a, b, c) {
      this.pointsArray.push(a);
      this.pointsArray.push(b);
      this.pointsArray.push(c);
+     
+     this.texCoordsArray.push(this.sphericalTexCoord(na));
+     this.texCoordsArray.push(this.sphericalTexCoord(nb));
+     this.texCoordsArray.push(this.sphericalTexCoord(nc));
 
      this.index += 3;
 }
 
 
+// Longitude/latitude mapping of a unit-sphere point to [0,1]^2
+SphereSub.sphericalTexCoord = function (n) {
+    var u = 0.5 + Math.atan2(n[2], n[0]) / (2.0*Math.PI) ;
+    var v = 0.5 + Math.asin(Math.max(-1.0, Math.min(1.0, n[1]))) / Math.PI ;
+    return vec2(u, v) ;
+}
+
+
 SphereSub.divideTriangle = function (a, b, c, count) {
     if ( count > 0 ) {
                 
@@ -110,6 +139,7 @@ Cube.numVertices  = 36;
 
 Cube.pointsArray = [];
 Cube.normalsArray = [];
+Cube.texCoordsArray = [];
 
 Cube.vertices = [
                 vec4( -0.5, -0.5,  0.5, 1.0 ),
@@ -218,12 +248,14 @@ Cube.init = function(program)
 {
     var count = 0 ;
     var texCount = 0 ;
-    for( var i = 0 ; i < vertices1.length; i++)
+    for( var i = 0 ; i < this.numVertices; i++)
     {
         var v = vec4(vertices1[count], vertices1[count+1],vertices1[count+2],1.0) ;
         this.pointsArray.push(v) ;
         var n = vec3(normals1[count], normals1[count+1], normals1[count+2]) ;
         this.normalsArray.push(n) ;
+        var t = vec2(cubeTexCoord[texCount], cubeTexCoord[texCount+1]) ;
+        this.texCoordsArray.push(t) ;
         count = count + 3 ;
         texCount = texCount + 2 ;
     }
@@ -244,6 +276,7 @@ Cylinder = {} ;
 
 Cylinder.pointsArray = [];
 Cylinder.normalsArray = [];
+Cylinder.texCoordsArray = [];
 
 Cylinder.getVertex = function (u, v)
 {
@@ -318,6 +351,7 @@ Cone = {} ;
 
 Cone.pointsArray = [];
 Cone.normalsArray = [];
+Cone.texCoordsArray = [];
 
 Cone.getVertex = function (u, v)
 {
@@ -397,6 +431,7 @@ Sphere = {} ;
 
 Sphere.pointsArray = [];
 Sphere.normalsArray = [];
+Sphere.texCoordsArray = [];
 
 Sphere.getVertex = function (uu, vv)
 {
@@ -422,6 +457,7 @@ function AddInAttribArrays(obj, v)
 {
     obj.pointsArray.push(v.position);
     obj.normalsArray.push(v.normal);
+    obj.texCoordsArray.push(v.texCoord);
 }
 
 
@@ -508,3 +544,69 @@ Sphere.draw = function() {
 }
 
 
+//------------ plane (stage floor) ------------------------
+
+Plane = {} ;
+
+
+Plane.pointsArray = [];
+Plane.normalsArray = [];
+Plane.texCoordsArray = [];
+
+// Unit square in the XZ plane (y = 0) facing +y
+Plane.getVertex = function (u, v)
+{
+    var vd = {} ;
+    vd.position = vec4(u-0.5, 0.0, v-0.5, 1.0) ;
+    vd.normal = vec3(0.0, 1.0, 0.0) ;
+    vd.colour = vec4(1.0,0.0,0.0,1.0) ;
+    
+    vd.texCoord = vec2(u, v) ;
+    
+    return vd;
+}
+
+
+Plane.init = function(n, program)
+{
+    
+    this.n = n ;
+    if( this.n < 1) return;
+    
+    // Subdivided so per-vertex (Gouraud) lighting can still show the spot pool.
+    // Integer steps avoid the extra row a floating-point loop can add.
+    for( var i = 0 ; i < this.n ; i++) {
+        for( var j = 0 ; j < this.n ; j++) {
+            var u = i / this.n, v = j / this.n ;
+            var du = 1.0 / this.n, dv = du ;
+            
+            var vd1 = this.getVertex(u,v) ;
+            var vd2 = this.getVertex(u,v+dv) ;
+            var vd3 = this.getVertex(u+du,v+dv) ;
+            var vd4 = this.getVertex(u+du,v) ;
+            
+            // Triangle one
+            AddInAttribArrays(this,vd1) ;
+            AddInAttribArrays(this,vd2) ;
+            AddInAttribArrays(this,vd3) ;
+            
+            // Triangle two
+            AddInAttribArrays(this,vd3) ;
+            AddInAttribArrays(this,vd4) ;
+            AddInAttribArrays(this,vd1) ;
+        }
+    }
+    
+    setBuffers(this, program);
+}
+
+
+
+Plane.draw = function() {
+    
+    gl.frontFace(gl.CCW) ;
+    
+    setAttribPointers(this) ;
+    gl.drawArrays(gl.TRIANGLES, 0,this.n*this.n*6 );
+    
+}
@@ -0,0 +1,270 @@
+// postprocess.js - Offscreen render targets and full-screen passes
+
+// ======================================================
+// Texture Units
+// ======================================================
+// Units 0 and 1 belong to the diffuse and shadow maps of the lit shader, so
+// full-screen passes bind their inputs from here upwards.
+const POST_INPUT_UNIT = 2;
+
+var fullscreenVAO;  // Empty vertex array: the triangle is built from gl_VertexID.
+var sceneTarget;    // Full resolution: [0] scene colour, [1] glow from materials
+var postEffects;    // PostEffectStack run by render() after the scene
+
+// ======================================================
+// Function: initPostProcessing()
+// Create the scene target and an empty effect stack (filled by effects.js).
+// ======================================================
+function initPostProcessing() {
+    fullscreenVAO = gl.createVertexArray();
+    sceneTarget = createRenderTarget(canvas.width, canvas.height, { colors: 2, depth: true });
+    postEffects = new PostEffectStack(canvas.width, canvas.height);
+}
+
+// ======================================================
+// Function: beginScenePass()
+// Bind the scene target and clear it. The glow attachment is cleared to
+// black rather than the background colour.
+// ======================================================
+function beginScenePass() {
+    bindRenderTarget(sceneTarget);
+    gl.clearBufferfv(gl.COLOR, 0, gl.getParameter(gl.COLOR_CLEAR_VALUE));
+    gl.clearBufferfv(gl.COLOR, 1, [0.0, 0.0, 0.0, 1.0]);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+}
+
+// ======================================================
+// Function: createRenderTarget(width, height, options)
+// Framebuffer with `options.colors` RGBA8 colour textures (default 1) and,
+// if `options.depth` is set, a depth renderbuffer.
+// ======================================================
+function createRenderTarget(width, height, options = {}) {
+    var colorCount = options.colors || 1;
+    var target = {
+        framebuffer: gl.createFramebuffer(),
+        textures:    [],
+        depthBuffer: null,
+        width:       width,
+        height:      height
+    };
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+
+    var drawBuffers = [];
+    for (var i = 0; i < colorCount; i++) {
+        var texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0 + POST_INPUT_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+        target.textures.push(texture);
+        drawBuffers.push(gl.COLOR_ATTACHMENT0 + i);
+    }
+    gl.drawBuffers(drawBuffers);
+    gl.activeTexture(gl.TEXTURE0);
+
+    if (options.depth) {
+        target.depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.depthBuffer);
+    }
+
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        alert("Render target framebuffer is incomplete");
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return target;
+}
+
+// ======================================================
+// Function: bindRenderTarget(target)
+// Render into `target`, or into the canvas when it is null.
+// ======================================================
+function bindRenderTarget(target) {
+    if (target) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, canvas.width, canvas.height);
+    }
+}
+
+// ======================================================
+// Function: bindPostInput(index, texture, shader, samplerName)
+// Bind a pass input to unit POST_INPUT_UNIT + index.
+// ======================================================
+function bindPostInput(index, texture, shader, samplerName) {
+    gl.activeTexture(gl.TEXTURE0 + POST_INPUT_UNIT + index);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    shader.setUniform(samplerName, POST_INPUT_UNIT + index);
+}
+
+// ======================================================
+// Function: drawFullscreenTriangle()
+// One oversized triangle covering the viewport (fullscreen-vertex-shader).
+// ======================================================
+function drawFullscreenTriangle() {
+    gl.bindVertexArray(fullscreenVAO);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.bindVertexArray(null);
+    countDrawCall();
+}
+
+// ======================================================
+// PostPass Class
+// ======================================================
+// One full-screen effect: reads `source` (the input target's first colour
+// texture) and writes to the output target, or the canvas for null. Every
+// entry of `settings` is uploaded as a uniform of the same name on each run,
+// so effects are tuned by editing pass.settings at runtime; `sceneTime` is
+// also provided for animated effects.
+class PostPass {
+    constructor(name, fragmentShaderId, settings) {
+        this.name = name;
+        this.shader = new ShaderProgram(gl, "fullscreen-vertex-shader", fragmentShaderId);
+        this.settings = settings || {};
+        this.enabled = true;
+    }
+
+    run(input, output) {
+        bindRenderTarget(output);
+        this.shader.use();
+        bindPostInput(0, input.textures[0], this.shader, "source");
+        for (var name in this.settings) {
+            this.shader.setUniform(name, this.settings[name]);
+        }
+        this.shader.setUniform("sceneTime", sceneClock.time);
+        drawFullscreenTriangle();
+    }
+}
+
+// ======================================================
+// PostEffectStack Class
+// ======================================================
+// Ordered list of passes. run() feeds the scene through every enabled pass,
+// ping-ponging between two full-resolution targets, and the last pass draws
+// to the canvas. With nothing enabled the scene is copied across unchanged.
+class PostEffectStack {
+    constructor(width, height) {
+        this.passes = [];
+        this.targets = [createRenderTarget(width, height), createRenderTarget(width, height)];
+        this.copyPass = new PostPass("Copy", "copy-fragment-shader");
+    }
+
+    push(pass) {
+        this.passes.push(pass);
+        return pass;
+    }
+
+    get(name) {
+        var pass = this.passes.find(p => p.name === name);
+        if (!pass) {
+            throw "PostEffectStack.get(): unknown pass " + name;
+        }
+        return pass;
+    }
+
+    remove(name) {
+        this.passes.splice(this.passes.indexOf(this.get(name)), 1);
+    }
+
+    setEnabled(name, enabled) {
+        this.get(name).enabled = enabled;
+    }
+
+    // Move a pass to position `index` (clamped to the stack).
+    move(name, index) {
+        var pass = this.get(name);
+        this.passes.splice(this.passes.indexOf(pass), 1);
+        index = Math.max(0, Math.min(index, this.passes.length));
+        this.passes.splice(index, 0, pass);
+    }
+
+    // Reorder to match a list of pass names; unlisted passes keep their
+    // relative order after the listed ones.
+    setOrder(names) {
+        var ordered = names.map(name => this.get(name));
+        this.passes = ordered.concat(this.passes.filter(p => ordered.indexOf(p) < 0));
+    }
+
+    run(input) {
+        var active = this.passes.filter(p => p.enabled);
+        gl.disable(gl.DEPTH_TEST);
+
+        if (active.length === 0) {
+            this.copyPass.run(input, null);
+        }
+        var source = input;
+        for (var i = 0; i < active.length; i++) {
+            var output = (i === active.length - 1) ? null : this.targets[i % 2];
+            active[i].run(source, output);
+            source = output;
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.enable(gl.DEPTH_TEST);
+        litShader.use();
+    }
+}
+
+// ======================================================
+// Function: applyPostEffects()
+// Run the effect stack over the finished scene, ending on the canvas.
+// ======================================================
+function applyPostEffects() {
+    postEffects.run(sceneTarget);
+}
+
+// ======================================================
+// Function: initPostEffectControls(elementId)
+// One row per pass: an on/off checkbox and buttons to move it up or down.
+// ======================================================
+function initPostEffectControls(elementId) {
+    var element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.innerHTML = "";
+    postEffects.passes.forEach(function(pass, index) {
+        var row = document.createElement("div");
+
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = pass.enabled;
+        checkbox.onchange = function() {
+            pass.enabled = checkbox.checked;
+            redrawIfPaused();
+        };
+
+        var upButton = document.createElement("input");
+        upButton.type = "button";
+        upButton.value = "Up";
+        upButton.disabled = (index === 0);
+        upButton.onclick = function() {
+            postEffects.move(pass.name, index - 1);
+            initPostEffectControls(elementId);
+            redrawIfPaused();
+        };
+
+        var downButton = document.createElement("input");
+        downButton.type = "button";
+        downButton.value = "Down";
+        downButton.disabled = (index === postEffects.passes.length - 1);
+        downButton.onclick = function() {
+            postEffects.move(pass.name, index + 1);
+            initPostEffectControls(elementId);
+            redrawIfPaused();
+        };
+
+        row.appendChild(checkbox);
+        row.appendChild(document.createTextNode(" " + (index + 1) + ". " + pass.name + " "));
+        row.appendChild(upButton);
+        row.appendChild(downButton);
+        element.appendChild(row);
+    });
+}
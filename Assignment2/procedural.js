@@ -0,0 +1,48 @@
+// procedural.js - Procedural texture patterns evaluated in the fragment shader
+
+// ======================================================
+// Pattern Types
+// ======================================================
+// Must match PATTERN_* in the fragment shader (main.html).
+const PATTERN_NONE         = 0;
+const PATTERN_CHECKER      = 1;
+const PATTERN_STRIPES      = 2;
+const PATTERN_VALUE_NOISE  = 3;
+const PATTERN_PERLIN_NOISE = 4;
+const PATTERN_MARBLE       = 5;
+const PATTERN_GLITTER      = 6;
+
+// ======================================================
+// ProceduralPattern Class
+// ======================================================
+// Tunable settings for one pattern, attached to a Material as `procedural`.
+//   colorA - base colour
+//   colorB - second colour (checker squares, stripes, marble veins, sparkles)
+//   scale  - how many times the pattern repeats across the surface's (u, v)
+//   param  - stripes: stripe width (0-1); marble: vein turbulence;
+//            glitter: fraction of cells holding a flake (0-1)
+class ProceduralPattern {
+    constructor(options) {
+        this.pattern = options.pattern !== undefined ? options.pattern : PATTERN_NONE;
+        this.colorA  = options.colorA || vec4(1.0, 1.0, 1.0, 1.0);
+        this.colorB  = options.colorB || vec4(0.0, 0.0, 0.0, 1.0);
+        this.scale   = options.scale !== undefined ? options.scale : 8.0;
+        this.param   = options.param !== undefined ? options.param : 0.5;
+    }
+}
+
+// ======================================================
+// Function: setProceduralPattern(procedural)
+// Upload a pattern's settings, or switch patterns off for null.
+// ======================================================
+function setProceduralPattern(procedural) {
+    if (!procedural) {
+        litShader.setUniform("proceduralPattern", PATTERN_NONE);
+        return;
+    }
+    litShader.setUniform("proceduralPattern", procedural.pattern);
+    litShader.setUniform("patternColorA", procedural.colorA);
+    litShader.setUniform("patternColorB", procedural.colorB);
+    litShader.setUniform("patternScale", procedural.scale);
+    litShader.setUniform("patternParam", procedural.param);
+}
@@ -0,0 +1,175 @@
+// program.js - Shader program wrapper with cached locations and redundant-upload skipping
+
+// ======================================================
+// Render Statistics
+// ======================================================
+// Reset at the start of every frame by render(); shown under the canvas.
+var renderStats = {
+    uniformUploads: 0,   // gl.uniform* calls actually issued
+    skippedUploads: 0,   // setUniform() calls skipped because nothing changed
+    drawCalls:      0    // gl.drawArrays calls
+};
+
+function resetRenderStats() {
+    renderStats.uniformUploads = 0;
+    renderStats.skippedUploads = 0;
+    renderStats.drawCalls = 0;
+}
+
+function countDrawCall() {
+    renderStats.drawCalls++;
+}
+
+// ======================================================
+// Function: showRenderStats()
+// Write the last frame's counters into the #renderStats element.
+// ======================================================
+function showRenderStats() {
+    var element = document.getElementById("renderStats");
+    if (!element) return;
+    element.textContent = "Uniform uploads: " + renderStats.uniformUploads +
+        " (skipped " + renderStats.skippedUploads + ")" +
+        " | Draw calls: " + renderStats.drawCalls;
+}
+
+// ======================================================
+// ShaderProgram Class
+// ======================================================
+// Compiles a program from two <script> shader ids, then looks up every active
+// uniform and attribute once. setUniform() remembers the last value sent to
+// each uniform and skips the upload when it has not changed. Values are
+// numbers or flat arrays (e.g. the result of flatten(), or a mat4f that is
+// uploaded as is). Array values are cached by copying into a buffer kept per
+// uniform, so repeated uploads do not allocate.
+class ShaderProgram {
+    constructor(gl, vertexShaderId, fragmentShaderId) {
+        this.program = initShaders(gl, vertexShaderId, fragmentShaderId);
+        this.uniforms = {};    // name -> { location, type, size, value }
+        this.attributes = {};  // name -> location
+
+        var uniformCount = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+        for (var i = 0; i < uniformCount; i++) {
+            var info = gl.getActiveUniform(this.program, i);
+            // Arrays are reported as "name[0]"; register them under "name" as well.
+            var name = info.name.replace(/\[0\]$/, "");
+            var uniform = {
+                location: gl.getUniformLocation(this.program, info.name),
+                type:     info.type,
+                size:     info.size,
+                value:    null
+            };
+            this.uniforms[name] = uniform;
+            this.uniforms[info.name] = uniform;
+        }
+
+        var attributeCount = gl.getProgramParameter(this.program, gl.ACTIVE_ATTRIBUTES);
+        for (var i = 0; i < attributeCount; i++) {
+            var info = gl.getActiveAttrib(this.program, i);
+            this.attributes[info.name] = gl.getAttribLocation(this.program, info.name);
+        }
+    }
+
+    use() {
+        gl.useProgram(this.program);
+    }
+
+    uniformLocation(name) {
+        var uniform = this.uniforms[name];
+        return uniform ? uniform.location : null;
+    }
+
+    attributeLocation(name) {
+        return name in this.attributes ? this.attributes[name] : -1;
+    }
+
+    // Upload `value` unless it equals the last value sent. Uniforms that the
+    // compiler optimised away are ignored, as WebGL does for a null location.
+    // The program must be in use when this is called.
+    setUniform(name, value) {
+        var uniform = this.uniforms[name];
+        if (!uniform) {
+            return false;
+        }
+        if (uniform.value !== null && sameUniformValue(uniform.value, value)) {
+            renderStats.skippedUploads++;
+            return false;
+        }
+        cacheUniformValue(uniform, value);
+        uploadUniform(uniform, value);
+        renderStats.uniformUploads++;
+        return true;
+    }
+
+    // Forget cached values, e.g. after uniforms were set outside setUniform().
+    invalidate() {
+        for (var name in this.uniforms) {
+            this.uniforms[name].value = null;
+        }
+    }
+}
+
+// ======================================================
+// Helpers for ShaderProgram
+// ======================================================
+function sameUniformValue(cached, value) {
+    if (typeof value === "number") {
+        return cached === value;
+    }
+    if (typeof cached === "number" || cached.length !== value.length) {
+        return false;
+    }
+    for (var i = 0; i < value.length; i++) {
+        if (cached[i] !== value[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Doubles, so a value compares equal to itself before float conversion.
+function cacheUniformValue(uniform, value) {
+    if (typeof value === "number") {
+        uniform.value = value;
+    } else if (uniform.value instanceof Float64Array && uniform.value.length === value.length) {
+        uniform.value.set(value);
+    } else {
+        uniform.value = new Float64Array(value);
+    }
+}
+
+function asFloat32(value) {
+    return (value instanceof Float32Array) ? value : new Float32Array(value);
+}
+
+function uploadUniform(uniform, value) {
+    var loc = uniform.location;
+    var scalar = (typeof value === "number");
+    switch (uniform.type) {
+    case gl.FLOAT:
+        scalar ? gl.uniform1f(loc, value) : gl.uniform1fv(loc, asFloat32(value));
+        break;
+    case gl.FLOAT_VEC2:
+        gl.uniform2fv(loc, asFloat32(value));
+        break;
+    case gl.FLOAT_VEC3:
+        gl.uniform3fv(loc, asFloat32(value));
+        break;
+    case gl.FLOAT_VEC4:
+        gl.uniform4fv(loc, asFloat32(value));
+        break;
+    case gl.FLOAT_MAT3:
+        gl.uniformMatrix3fv(loc, false, asFloat32(value));
+        break;
+    case gl.FLOAT_MAT4:
+        gl.uniformMatrix4fv(loc, false, asFloat32(value));
+        break;
+    case gl.INT:
+    case gl.BOOL:
+    case gl.SAMPLER_2D:
+    case gl.SAMPLER_2D_SHADOW:
+        scalar ? gl.uniform1i(loc, value) : gl.uniform1iv(loc, new Int32Array(value));
+        break;
+    default:
+        throw "setUniform(): unsupported uniform type " + uniform.type;
+    }
+}
@@ -0,0 +1,142 @@
+// scenegraph.js - SceneNode tree with local transforms and cached world matrices
+
+// ======================================================
+// SceneNode Class
+// ======================================================
+// A node has a local translation, rotation (MV.js quaternion) and scale,
+// applied as translate * rotate * scale like the gTranslate/gRotate/gScale
+// calls they replace. Children inherit the whole parent matrix, scale
+// included, so a part whose scale should not reach its children is a leaf
+// "shape" node under a mesh-less joint node.
+//
+// World matrices are mat4f (MV.js fast path) relative to the root and are
+// only recomputed below a node whose transform changed since the last
+// updateWorldMatrix(). `mesh` is one of the primitives in objects.js (Cube,
+// Sphere, ...); `material` is a Material or a materialLibrary name.
+class SceneNode {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.parent = null;
+        this.children = [];
+
+        this.translation = options.translation || vec3(0.0, 0.0, 0.0);
+        this.rotation    = options.rotation    || quat();
+        this.scale       = options.scale       || vec3(1.0, 1.0, 1.0);
+        this.mesh        = options.mesh        || null;
+        this.material    = options.material    || null;
+        this.visible     = options.visible !== undefined ? options.visible : true;
+
+        this.localMatrix = mat4f();
+        this.worldMatrix = mat4f();
+        this.dirty = true;
+    }
+
+    // ----- Hierarchy -----
+
+    add(child) {
+        if (child.parent) {
+            child.parent.remove(child);
+        }
+        child.parent = this;
+        child.dirty = true;
+        this.children.push(child);
+        return child;
+    }
+
+    remove(child) {
+        var index = this.children.indexOf(child);
+        if (index >= 0) {
+            this.children.splice(index, 1);
+            child.parent = null;
+        }
+    }
+
+    // Depth-first search of this subtree; null when there is no such node.
+    find(name) {
+        if (this.name === name) return this;
+        for (var i = 0; i < this.children.length; i++) {
+            var found = this.children[i].find(name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => child.traverse(callback));
+    }
+
+    // ----- Local transform -----
+
+    setTranslation(x, y, z) {
+        this.translation = Array.isArray(x) ? vec3(x[0], x[1], x[2]) : vec3(x, y, z);
+        this.dirty = true;
+        return this;
+    }
+
+    setRotation(q) {
+        this.rotation = q;
+        this.dirty = true;
+        return this;
+    }
+
+    // Degrees about an axis, as gRotate(angle, x, y, z)
+    setAxisAngle(angle, axis) {
+        return this.setRotation(quatFromAxisAngle(angle, axis));
+    }
+
+    setScale(x, y, z) {
+        this.scale = Array.isArray(x) ? vec3(x[0], x[1], x[2]) : vec3(x, y, z);
+        this.dirty = true;
+        return this;
+    }
+
+    updateLocalMatrix() {
+        var m = mat4fIdentity(this.localMatrix);
+        mat4fTranslate(m, m, this.translation[0], this.translation[1], this.translation[2]);
+        mat4fMultiply(m, m, mat4fFromQuat(sceneNodeScratch, this.rotation));
+        mat4fScale(m, m, this.scale[0], this.scale[1], this.scale[2]);
+    }
+
+    // ----- World transform -----
+
+    // Refresh cached world matrices in this subtree. `parentChanged` forces
+    // a recompute when an ancestor moved.
+    updateWorldMatrix(parentChanged = false) {
+        var changed = this.dirty || parentChanged;
+        if (this.dirty) {
+            this.updateLocalMatrix();
+            this.dirty = false;
+        }
+        if (changed) {
+            if (this.parent) {
+                mat4fMultiply(this.worldMatrix, this.parent.worldMatrix, this.localMatrix);
+            } else {
+                mat4fCopy(this.worldMatrix, this.localMatrix);
+            }
+        }
+        this.children.forEach(child => child.updateWorldMatrix(changed));
+    }
+
+    // Origin of this node relative to the root (after updateWorldMatrix())
+    worldPosition() {
+        return vec3(this.worldMatrix[12], this.worldMatrix[13], this.worldMatrix[14]);
+    }
+
+    // ----- Drawing -----
+
+    // Draw every visible mesh in the subtree on top of the current modelMatrix.
+    render() {
+        if (!this.visible) return;
+        if (this.mesh) {
+            gPush();
+            mat4fMultiply(modelMatrix, modelMatrix, this.worldMatrix);
+            var material = (typeof this.material === "string") ? getMaterial(this.material) : this.material;
+            drawMesh(this.mesh, material);
+            gPop();
+        }
+        this.children.forEach(child => child.render());
+    }
+}
+
+var sceneNodeScratch = mat4f();
@@ -0,0 +1,70 @@
+// shading.js - Shading mode selection (Gouraud per-vertex vs. Phong per-fragment ADS)
+//              and specular model selection (Phong vs. Blinn-Phong)
+
+// ======================================================
+// Shading Modes
+// ======================================================
+// Must match the values tested by `shadingMode` in the shaders (main.html).
+const SHADING_GOURAUD = 0;  // Lighting evaluated per vertex, colour interpolated.
+const SHADING_PHONG   = 1;  // Normal interpolated, ADS lighting evaluated per fragment.
+
+var shadingMode = SHADING_PHONG;  // Current shading mode.
+
+// Human-readable labels used by the toggle button.
+const shadingModeLabels = {};
+shadingModeLabels[SHADING_GOURAUD] = "Shading: Per-Vertex (Gouraud)";
+shadingModeLabels[SHADING_PHONG]   = "Shading: Per-Fragment (Phong)";
+
+// ======================================================
+// Specular Models
+// ======================================================
+// Must match the values tested by `specularModel` in the shaders (main.html).
+// The shader rescales shininess for Blinn-Phong so highlights stay comparable.
+const SPECULAR_PHONG       = 0;  // reflect(-L, N) . V
+const SPECULAR_BLINN_PHONG = 1;  // N . normalize(L + V)
+
+var specularModel = SPECULAR_PHONG;  // Current specular model.
+
+const specularModelLabels = {};
+specularModelLabels[SPECULAR_PHONG]       = "Specular: Phong";
+specularModelLabels[SPECULAR_BLINN_PHONG] = "Specular: Blinn-Phong";
+
+// ======================================================
+// Function: setShadingMode(mode)
+// Upload the shading mode so both shader stages agree on the path.
+// ======================================================
+function setShadingMode(mode) {
+    shadingMode = mode;
+    litShader.setUniform("shadingMode", shadingMode);
+}
+
+// ======================================================
+// Function: setSpecularModel(model)
+// Upload the specular model; it is read every frame by both shader stages.
+// ======================================================
+function setSpecularModel(model) {
+    specularModel = model;
+    litShader.setUniform("specularModel", specularModel);
+}
+
+// ======================================================
+// Function: initShadingControls()
+// Wire the shading and specular toggle buttons so the paths can be compared live.
+// ======================================================
+function initShadingControls() {
+    var shadingButton = document.getElementById("shadingToggleButton");
+    shadingButton.value = shadingModeLabels[shadingMode];
+    shadingButton.onclick = function() {
+        setShadingMode(shadingMode === SHADING_PHONG ? SHADING_GOURAUD : SHADING_PHONG);
+        shadingButton.value = shadingModeLabels[shadingMode];
+        redrawIfPaused();
+    };
+
+    var specularButton = document.getElementById("specularToggleButton");
+    specularButton.value = specularModelLabels[specularModel];
+    specularButton.onclick = function() {
+        setSpecularModel(specularModel === SPECULAR_PHONG ? SPECULAR_BLINN_PHONG : SPECULAR_PHONG);
+        specularButton.value = specularModelLabels[specularModel];
+        redrawIfPaused();
+    };
+}
@@ -0,0 +1,121 @@
+// shadows.js - Shadow mapping from the key light onto the stage floor
+
+// ======================================================
+// Shadow Map Parameters
+// ======================================================
+const SHADOW_MAP_SIZE = 1024;  // Resolution of the depth texture.
+const SHADOW_MAP_UNIT = 1;     // Texture unit the shadow map is bound to.
+
+var shadowsEnabled = true;
+var shadowLight;               // Light that casts shadows (the key light).
+var shadowFocus  = vec3(0.0, -1.0, 0.0);  // Centre of the shadowed region.
+var shadowExtent = 8.0;        // Half-size of the light's orthographic frustum.
+
+var depthShader;               // Depth-only ShaderProgram.
+var shadowFramebuffer, shadowDepthTexture;
+var lightViewProjection;       // World -> light clip space.
+var shadowPass = false;        // True while drawing casters into the shadow map.
+
+// ======================================================
+// Function: initShadows(light)
+// Create the depth program and the framebuffer/depth texture it renders to.
+// ======================================================
+function initShadows(light) {
+    shadowLight = light;
+
+    depthShader = new ShaderProgram(gl, "depth-vertex-shader", "depth-fragment-shader");
+
+    // Depth texture sampled with hardware comparison (sampler2DShadow).
+    shadowDepthTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, shadowDepthTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, 0,
+                  gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+
+    shadowFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, shadowFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, shadowDepthTexture, 0);
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        alert("Shadow map framebuffer is incomplete");
+        shadowsEnabled = false;
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    litShader.use();
+    gl.activeTexture(gl.TEXTURE0 + SHADOW_MAP_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, shadowDepthTexture);
+    gl.activeTexture(gl.TEXTURE0);
+    litShader.setUniform("shadowMap", SHADOW_MAP_UNIT);
+
+    updateLightViewProjection();
+}
+
+// ======================================================
+// Function: updateLightViewProjection()
+// Orthographic projection looking from the shadow light towards shadowFocus.
+// The key light is far away, so its rays are treated as parallel.
+// ======================================================
+function updateLightViewProjection() {
+    var lightEye = vec3(shadowLight.position[0], shadowLight.position[1], shadowLight.position[2]);
+    var lightDistance = length(subtract(lightEye, shadowFocus));
+    var lightView = lookAt(lightEye, shadowFocus, vec3(0.0, 1.0, 0.0));
+    var lightProjection = ortho(-shadowExtent, shadowExtent, -shadowExtent, shadowExtent,
+                                lightDistance - 2.0 * shadowExtent, lightDistance + 2.0 * shadowExtent);
+    lightViewProjection = mult(lightProjection, lightView);
+}
+
+// ======================================================
+// Function: renderShadowMap(drawCasters)
+// Depth-only pass: `drawCasters` issues the usual gPush/gTranslate/draw*
+// calls; setMV() and setColor() route to the depth program while it runs.
+// ======================================================
+function renderShadowMap(drawCasters) {
+    if (!shadowsEnabled) {
+        return;
+    }
+    updateLightViewProjection();
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, shadowFramebuffer);
+    gl.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+    depthShader.use();
+    depthShader.setUniform("lightViewProjection", flatten(lightViewProjection));
+
+    // Push depths away from the light to avoid shadow acne.
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(2.0, 4.0);
+
+    shadowPass = true;
+    resetModelMatrix();
+    drawCasters();
+    shadowPass = false;
+
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    litShader.use();
+    resetModelMatrix();
+}
+
+// ======================================================
+// Function: uploadShadowUniforms(receive)
+// Tell the lit shader which light is shadowed and how to reach the shadow
+// map. Call after uploadLights() so the light index matches the array.
+// Pass `receive = false` for geometry that should ignore the shadow map.
+// ======================================================
+function uploadShadowUniforms(receive = true) {
+    var index = (shadowsEnabled && receive) ? lights.filter(light => light.enabled).indexOf(shadowLight) : -1;
+    litShader.setUniform("shadowLightIndex", index);
+    if (index < 0) {
+        return;
+    }
+
+    // Map clip space [-1, 1] to texture space [0, 1].
+    var bias = mult(translate(0.5, 0.5, 0.5), scale(0.5, 0.5, 0.5));
+    litShader.setUniform("lightSpaceMatrix", flatten(mult(bias, lightViewProjection)));
+}
@@ -0,0 +1,174 @@
+// skeleton.js - Named joints with pivot offsets and angle limits
+
+// ======================================================
+// Joint Axes
+// ======================================================
+// Angles are in degrees about the joint's own axes:
+//   x - flexion / extension (swing forwards and backwards)
+//   y - twist along the bone
+//   z - abduction (out to the side)
+// They are applied z first (in the parent's frame), then y, then x.
+const JOINT_AXES = ["x", "y", "z"];
+
+// ======================================================
+// Joint Class
+// ======================================================
+// `pivot` is the joint's position in its parent joint's frame. `limits`
+// maps an axis to [min, max]; axes without limits are locked at 0. `rest`
+// holds the angles resetPose() returns to.
+class Joint {
+    constructor(definition) {
+        this.name = definition.name;
+        this.parentName = definition.parent || null;
+        this.pivot = definition.pivot;
+        this.limits = definition.limits || {};
+        this.rest = Object.assign({ x: 0, y: 0, z: 0 }, definition.rest);
+        this.angles = Object.assign({}, this.rest);
+        this.node = new SceneNode(this.name, { translation: vec3(this.pivot[0], this.pivot[1], this.pivot[2]) });
+    }
+
+    canRotate(axis) {
+        return axis in this.limits;
+    }
+
+    clamp(axis, degrees) {
+        if (JOINT_AXES.indexOf(axis) < 0) {
+            throw "Joint.clamp(): unknown axis " + axis;
+        }
+        if (!this.canRotate(axis)) return 0;
+        var range = this.limits[axis];
+        return Math.min(Math.max(degrees, range[0]), range[1]);
+    }
+
+    rotation() {
+        return quatMult(quatFromAxisAngle(this.angles.z, [0, 0, 1]),
+                        quatMult(quatFromAxisAngle(this.angles.y, [0, 1, 0]),
+                                 quatFromAxisAngle(this.angles.x, [1, 0, 0])));
+    }
+}
+
+// ======================================================
+// Skeleton Class
+// ======================================================
+// Builds a SceneNode per joint under `root` (parents must come before their
+// children in the definition). Angles are clamped to the joint limits as they
+// are set; apply() copies them into the joint nodes before drawing.
+class Skeleton {
+    constructor(definition, root) {
+        this.joints = {};
+        this.order = [];
+
+        definition.forEach(jointDefinition => {
+            var joint = new Joint(jointDefinition);
+            var parentNode = joint.parentName ? this.joint(joint.parentName).node : root;
+            parentNode.add(joint.node);
+            this.joints[joint.name] = joint;
+            this.order.push(joint);
+        });
+        this.apply();
+    }
+
+    joint(name) {
+        var joint = this.joints[name];
+        if (!joint) {
+            throw "Skeleton.joint(): unknown joint " + name;
+        }
+        return joint;
+    }
+
+    // Set one angle; returns the value after clamping.
+    setAngle(name, axis, degrees) {
+        var joint = this.joint(name);
+        joint.angles[axis] = joint.clamp(axis, degrees);
+        return joint.angles[axis];
+    }
+
+    getAngle(name, axis) {
+        return this.joint(name).angles[axis];
+    }
+
+    // Set any of x / y / z at once, e.g. setAngles("knee_L", { x: 45 })
+    setAngles(name, angles) {
+        for (var axis in angles) {
+            this.setAngle(name, axis, angles[axis]);
+        }
+    }
+
+    // A pose maps joint names to angle objects; unlisted joints keep theirs.
+    setPose(pose) {
+        for (var name in pose) {
+            this.setAngles(name, pose[name]);
+        }
+    }
+
+    getPose() {
+        var pose = {};
+        this.order.forEach(joint => pose[joint.name] = Object.assign({}, joint.angles));
+        return pose;
+    }
+
+    resetPose() {
+        this.order.forEach(joint => joint.angles = Object.assign({}, joint.rest));
+    }
+
+    apply() {
+        this.order.forEach(joint => joint.node.setRotation(joint.rotation()));
+    }
+}
+
+// ======================================================
+// Function: mirrorJoint(definition)
+// The right-hand copy of a left-hand joint ("_L" -> "_R"): the pivot is
+// reflected in x, and twist and abduction change sign.
+// ======================================================
+function mirrorJoint(definition) {
+    var swapSide = name => name && name.replace(/_L$/, "_R");
+    var limits = {};
+    for (var axis in definition.limits) {
+        var range = definition.limits[axis];
+        limits[axis] = (axis === "x") ? range.slice() : [-range[1], -range[0]];
+    }
+    var rest = {};
+    for (var axis in definition.rest) {
+        rest[axis] = (axis === "x") ? definition.rest[axis] : -definition.rest[axis];
+    }
+    return {
+        name:   swapSide(definition.name),
+        parent: swapSide(definition.parent),
+        pivot:  [-definition.pivot[0], definition.pivot[1], definition.pivot[2]],
+        limits: limits,
+        rest:   rest
+    };
+}
+
+// ======================================================
+// Ballerina Skeleton
+// ======================================================
+// Body units (Ballerina scale 1). The pelvis sits under the tutu; legs hang
+// straight down (thigh 0.7, shin 0.7, pointe shoe 0.3) so the shoes reach the
+// stage, and the arms hang from the top of the bodice.
+const ballerinaLeftLimbs = [
+    { name: "hip_L",      parent: "pelvis",     pivot: [-0.2, -0.2, -0.05],
+      limits: { x: [-135, 100], y: [-60, 60], z: [-90, 20] } },
+    { name: "knee_L",     parent: "hip_L",      pivot: [0, -0.7, 0],
+      limits: { x: [0, 150] } },
+    { name: "ankle_L",    parent: "knee_L",     pivot: [0, -0.7, 0],
+      limits: { x: [-90, 20], z: [-15, 15] } },
+    { name: "shoulder_L", parent: "spine",      pivot: [-0.5, 0.85, 0],
+      limits: { x: [-180, 60], y: [-90, 90], z: [-180, 20] }, rest: { z: -45 } },
+    { name: "elbow_L",    parent: "shoulder_L", pivot: [0, -0.4, 0],
+      limits: { x: [-150, 0] }, rest: { x: -15 } },
+    { name: "wrist_L",    parent: "elbow_L",    pivot: [0, -0.36, 0],
+      limits: { x: [-70, 70], z: [-30, 30] } }
+];
+
+const ballerinaSkeleton = [
+    { name: "pelvis", parent: null,     pivot: [0, -0.95, 0],
+      limits: { x: [-20, 20], y: [-45, 45], z: [-15, 15] } },
+    { name: "spine",  parent: "pelvis", pivot: [0, 0.55, 0],
+      limits: { x: [-30, 45], y: [-40, 40], z: [-25, 25] } },
+    { name: "neck",   parent: "spine",  pivot: [0, 1.0, 0],
+      limits: { x: [-30, 40], y: [-50, 50], z: [-20, 20] } },
+    { name: "head",   parent: "neck",   pivot: [0, 0.45, 0],
+      limits: { x: [-30, 30], y: [-80, 80], z: [-20, 20] } }
+].concat(ballerinaLeftLimbs, ballerinaLeftLimbs.map(mirrorJoint));
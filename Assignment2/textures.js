@@ -0,0 +1,151 @@
+// textures.js - Image texture loading, placeholders and sampler binding
+
+// ======================================================
+// Texture Units
+// ======================================================
+// SHADOW_MAP_UNIT (shadows.js) is reserved for the shadow map.
+const DIFFUSE_MAP_UNIT = 0;
+
+// Images used by the scene, loaded once at start-up (paths relative to main.html).
+const textureFiles = {
+    "satin": "textures/satin.png",
+    "wood":  "textures/wood.png"
+};
+
+// ======================================================
+// Helper Functions
+// ======================================================
+function isPowerOf2(value) {
+    return (value & (value - 1)) === 0;
+}
+
+function nextPowerOf2(value) {
+    return Math.pow(2, Math.ceil(Math.log2(value)));
+}
+
+// ======================================================
+// TextureManager Class
+// ======================================================
+// load() returns immediately with a checkerboard placeholder so materials can
+// reference a texture by name straight away; the image replaces it once it
+// arrives. A missing or broken image simply leaves the checkerboard in place.
+class TextureManager {
+    constructor(gl) {
+        this.gl = gl;
+        this.textures = {};  // name -> { texture, loaded, failed, url }
+    }
+
+    load(name, url) {
+        var gl = this.gl;
+        var entry = { texture: gl.createTexture(), loaded: false, failed: false, url: url };
+        this.textures[name] = entry;
+        this.uploadCheckerboard(entry.texture);
+
+        var image = new Image();
+        image.onload = () => {
+            this.uploadImage(entry.texture, image);
+            entry.loaded = true;
+        };
+        image.onerror = () => {
+            entry.failed = true;  // The checkerboard placeholder stays bound
+        };
+        image.src = url;
+        return entry.texture;
+    }
+
+    get(name) {
+        var entry = this.textures[name];
+        if (!entry) {
+            throw "TextureManager.get(): unknown texture " + name;
+        }
+        return entry.texture;
+    }
+
+    // Bind a named texture to `unit` and point the sampler uniform at it.
+    bind(name, unit, shader, samplerName) {
+        var gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.get(name));
+        shader.setUniform(samplerName, unit);
+    }
+
+    // 64x64 grey/white checkerboard shown while loading or after a failure.
+    uploadCheckerboard(texture) {
+        var gl = this.gl;
+        var size = 64, square = 8;
+        var pixels = new Uint8Array(size * size * 4);
+        for (var y = 0; y < size; y++) {
+            for (var x = 0; x < size; x++) {
+                var c = ((Math.floor(x / square) + Math.floor(y / square)) % 2) ? 255 : 170;
+                var i = (y * size + x) * 4;
+                pixels[i] = pixels[i + 1] = pixels[i + 2] = c;
+                pixels[i + 3] = 255;
+            }
+        }
+        gl.activeTexture(gl.TEXTURE0 + DIFFUSE_MAP_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    }
+
+    // Upload an image with mipmaps. Non-power-of-two images are resampled to
+    // the next power of two so REPEAT wrapping and mipmapping behave the same
+    // on every context; if that is not possible they are clamped instead.
+    uploadImage(texture, image) {
+        var gl = this.gl;
+        var source = image;
+        var powerOf2 = isPowerOf2(image.width) && isPowerOf2(image.height);
+
+        if (!powerOf2) {
+            var resized = document.createElement("canvas");
+            var context = resized.getContext && resized.getContext("2d");
+            if (context) {
+                resized.width  = nextPowerOf2(image.width);
+                resized.height = nextPowerOf2(image.height);
+                context.drawImage(image, 0, 0, resized.width, resized.height);
+                source = resized;
+                powerOf2 = true;
+            }
+        }
+
+        gl.activeTexture(gl.TEXTURE0 + DIFFUSE_MAP_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        try {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        } finally {
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);  // Other uploads expect it off
+        }
+
+        if (powerOf2) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        } else {
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        // Show the real image in place of the placeholder while paused.
+        redrawIfPaused();
+    }
+}
+
+var textureManager;
+
+// ======================================================
+// Function: initTextures()
+// Start loading every file in `textureFiles`.
+// ======================================================
+function initTextures() {
+    textureManager = new TextureManager(gl);
+    for (var name in textureFiles) {
+        textureManager.load(name, textureFiles[name]);
+    }
+}
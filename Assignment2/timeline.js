@@ -0,0 +1,168 @@
+// timeline.js - Timeline bar: play / pause, frame steps, scrubbing and loop markers
+
+// ======================================================
+// Timeline Class
+// ======================================================
+// Drives a Clock over [0, duration]. While `loop` is on, playback that
+// passes the out marker wraps back to the in marker; otherwise it stops at
+// the end, and Play starts again from the beginning. Frame steps pause the
+// clock and move by one frame: the clock's fixed step when it has one,
+// otherwise `frameStep`.
+class Timeline {
+    constructor(clock, duration, options = {}) {
+        this.clock = clock;
+        this.duration = duration;
+        this.frameStep = options.frameStep || 1.0 / 60.0;
+        this.label = options.label || null;   // Function giving text for the readout
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.loopIn = 0.0;
+        this.loopOut = duration;
+    }
+
+    get step() {
+        return this.clock.fixedStep > 0.0 ? this.clock.fixedStep : this.frameStep;
+    }
+
+    play() {
+        if (!this.clock.playing) {
+            if (!this.loop && this.clock.time >= this.duration) {
+                this.clock.seek(0.0);
+            }
+            this.clock.play();
+            requestRender();
+        }
+    }
+
+    pause() {
+        this.clock.pause();
+    }
+
+    seek(t) {
+        this.clock.seek(Math.min(Math.max(t, 0.0), this.duration));
+        redrawIfPaused();
+    }
+
+    stepFrames(count) {
+        this.pause();
+        this.seek(this.clock.time + count * this.step);
+    }
+
+    setLoopIn(t) {
+        this.loopIn = Math.min(Math.max(t, 0.0), this.loopOut - this.step);
+    }
+
+    setLoopOut(t) {
+        this.loopOut = Math.min(Math.max(t, this.loopIn + this.step), this.duration);
+    }
+
+    // Call after clock.tick(), before anything reads the time.
+    update() {
+        if (!this.clock.playing) return;
+        if (this.loop && this.clock.time >= this.loopOut) {
+            var length = this.loopOut - this.loopIn;
+            this.clock.seek(this.loopIn + (this.clock.time - this.loopOut) % length);
+        } else if (!this.loop && this.clock.time >= this.duration) {
+            this.clock.seek(this.duration);
+            this.clock.pause();
+        }
+    }
+}
+
+var sceneTimeline;  // Created by initTimelineControls()
+
+// ======================================================
+// Function: initTimelineControls(duration, label)
+// Create sceneTimeline over [0, duration] and wire the bar under the canvas.
+// Dragging on the track scrubs (pausing until the drag ends); dragging a
+// loop marker moves it.
+// ======================================================
+function initTimelineControls(duration, label) {
+    sceneTimeline = new Timeline(sceneClock, duration, { label: label });
+
+    var button = (id, onclick) => {
+        var element = document.getElementById(id);
+        if (element) element.onclick = onclick;
+    };
+    button("timelinePlay",        () => sceneTimeline.play());
+    button("timelinePause",       () => { sceneTimeline.pause(); showTimeline(); });
+    button("timelineStepBack",    () => sceneTimeline.stepFrames(-1));
+    button("timelineStepForward", () => sceneTimeline.stepFrames(1));
+    button("timelineSetIn",       () => { sceneTimeline.setLoopIn(sceneClock.time); showTimeline(); });
+    button("timelineSetOut",      () => { sceneTimeline.setLoopOut(sceneClock.time); showTimeline(); });
+
+    var loopBox = document.getElementById("timelineLoop");
+    if (loopBox) {
+        loopBox.checked = sceneTimeline.loop;
+        loopBox.onchange = () => { sceneTimeline.loop = loopBox.checked; showTimeline(); };
+    }
+
+    var track = document.getElementById("timelineTrack");
+    if (!track) return;
+
+    var timeAt = event => {
+        var rect = track.getBoundingClientRect();
+        var u = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0.0), 1.0);
+        return u * sceneTimeline.duration;
+    };
+
+    var drag = null;  // Called with each pointer event until the button is released
+    var resume = false;
+    track.onpointerdown = function(event) {
+        if (event.target && event.target.id === "timelineLoopIn") {
+            drag = e => sceneTimeline.setLoopIn(timeAt(e));
+        } else if (event.target && event.target.id === "timelineLoopOut") {
+            drag = e => sceneTimeline.setLoopOut(timeAt(e));
+        } else {
+            resume = sceneClock.playing;
+            sceneTimeline.pause();
+            drag = e => sceneTimeline.seek(timeAt(e));
+        }
+        track.setPointerCapture(event.pointerId);
+        drag(event);
+        showTimeline();
+    };
+    track.onpointermove = function(event) {
+        if (!drag) return;
+        drag(event);
+        showTimeline();
+    };
+    track.onpointerup = function(event) {
+        if (!drag) return;
+        drag = null;
+        track.releasePointerCapture(event.pointerId);
+        if (resume) {
+            resume = false;
+            sceneTimeline.play();
+        }
+    };
+}
+
+// ======================================================
+// Function: showTimeline()
+// Move the scrub head and loop markers, and update the time readout.
+// ======================================================
+function showTimeline() {
+    if (!sceneTimeline) return;
+    var percent = t => (100.0 * Math.min(Math.max(t / sceneTimeline.duration, 0.0), 1.0)) + "%";
+    var place = (id, t) => {
+        var element = document.getElementById(id);
+        if (element) element.style.left = percent(t);
+    };
+    place("timelineHead", sceneClock.time);
+    place("timelineLoopIn", sceneTimeline.loopIn);
+    place("timelineLoopOut", sceneTimeline.loopOut);
+
+    var region = document.getElementById("timelineLoopRegion");
+    if (region) {
+        region.style.left = percent(sceneTimeline.loopIn);
+        region.style.width = percent(sceneTimeline.loopOut - sceneTimeline.loopIn);
+        region.style.opacity = sceneTimeline.loop ? 1.0 : 0.3;
+    }
+
+    var readout = document.getElementById("timelineReadout");
+    if (readout) {
+        readout.textContent = sceneClock.time.toFixed(2) + " s / " + sceneTimeline.duration.toFixed(2) + " s" +
+            (sceneClock.playing ? "" : " (paused)") +
+            (sceneTimeline.label ? " | " + sceneTimeline.label() : "");
+    }
+}